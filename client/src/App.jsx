@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import axios from 'axios';
 import './App.css';
 
@@ -6,24 +6,91 @@ import './App.css';
 import ProductList from './components/ProductList';
 import ReorderAnalysis from './components/ReorderAnalysis';
 import DemandSpikeSim from './components/DemandSpikeSim';
+import PortfolioSim from './components/PortfolioSim';
 import AddProductForm from './components/AddProductForm';
+import Suppliers from './components/Suppliers';
+import PurchaseOrders from './components/PurchaseOrders';
+import TransferRecommendations from './components/TransferRecommendations';
+import ProductImport from './components/ProductImport';
+import Users from './components/Users';
+import Alerts from './components/Alerts';
+import Jobs from './components/Jobs';
+import TrendCharts from './components/TrendCharts';
+import Login from './components/Login';
 
 // API base URL
 const API_BASE_URL = 'http://localhost:5000/api';
+const AUTH_TOKEN_KEY = 'authToken';
 
 function App() {
   // State management
   const [activeTab, setActiveTab] = useState('dashboard');
   const [products, setProducts] = useState([]);
   const [reorderData, setReorderData] = useState([]);
+  const [analysisOptions, setAnalysisOptions] = useState({ orderPolicy: 'target-days', forecastModel: '' });
+  const [warehouses, setWarehouses] = useState([]);
+  const [selectedWarehouse, setSelectedWarehouse] = useState('');
   const [loading, setLoading] = useState(false);
   const [notification, setNotification] = useState(null);
+  const [user, setUser] = useState(null);
+  const [authChecked, setAuthChecked] = useState(false);
+
+  // Whether the signed-in user's role allows an action
+  const can = (permission) => Boolean(user && user.permissions.includes(permission));
+
+  // Send the session token with every request
+  const startSession = (token) => {
+    localStorage.setItem(AUTH_TOKEN_KEY, token);
+    axios.defaults.headers.common.Authorization = `Bearer ${token}`;
+  };
+
+  const endSession = () => {
+    localStorage.removeItem(AUTH_TOKEN_KEY);
+    delete axios.defaults.headers.common.Authorization;
+    setUser(null);
+    setActiveTab('dashboard');
+    setProducts([]);
+    setReorderData([]);
+    setWarehouses([]);
+  };
+
+  const handleLogin = ({ token, user: signedInUser }) => {
+    startSession(token);
+    setUser(signedInUser);
+  };
+
+  const logout = async () => {
+    try {
+      await axios.post(`${API_BASE_URL}/auth/logout`);
+    } catch (error) {
+      console.error('Error signing out:', error);
+    }
+    endSession();
+  };
+
+  // Show notification
+  const showNotification = useCallback((message, type = 'success') => {
+    setNotification({ message, type });
+    setTimeout(() => setNotification(null), 4000);
+  }, []);
+
+  // Fetch warehouses for the header selector
+  const fetchWarehouses = useCallback(async () => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/warehouses`);
+      setWarehouses(response.data);
+    } catch (error) {
+      console.error('Error fetching warehouses:', error);
+    }
+  }, []);
 
   // Fetch products from backend
-  const fetchProducts = async () => {
+  const fetchProducts = useCallback(async () => {
     try {
       setLoading(true);
-      const response = await axios.get(`${API_BASE_URL}/products`);
+      const response = await axios.get(`${API_BASE_URL}/products`, {
+        params: { warehouse: selectedWarehouse || undefined }
+      });
       setProducts(response.data);
     } catch (error) {
       showNotification('Failed to fetch products', 'error');
@@ -31,13 +98,19 @@ function App() {
     } finally {
       setLoading(false);
     }
-  };
+  }, [selectedWarehouse, showNotification]);
 
   // Fetch reorder analysis
-  const fetchReorderAnalysis = async () => {
+  const fetchReorderAnalysis = useCallback(async () => {
     try {
       setLoading(true);
-      const response = await axios.get(`${API_BASE_URL}/reorder-analysis`);
+      const response = await axios.get(`${API_BASE_URL}/reorder-analysis`, {
+        params: {
+          warehouse: selectedWarehouse || undefined,
+          orderPolicy: analysisOptions.orderPolicy,
+          forecastModel: analysisOptions.forecastModel || undefined
+        }
+      });
       setReorderData(response.data);
     } catch (error) {
       showNotification('Failed to fetch reorder analysis', 'error');
@@ -45,12 +118,36 @@ function App() {
     } finally {
       setLoading(false);
     }
+  }, [analysisOptions, selectedWarehouse, showNotification]);
+
+  // Change how the analysis sizes orders (60-day top-up or EOQ) and estimates demand (average or forecast)
+  const changeAnalysisOptions = (changes) => {
+    setAnalysisOptions(current => ({ ...current, ...changes }));
   };
 
-  // Show notification
-  const showNotification = (message, type = 'success') => {
-    setNotification({ message, type });
-    setTimeout(() => setNotification(null), 4000);
+  // Scope products, dashboard and reorder analysis to one warehouse ('' for the whole network)
+  const changeWarehouse = (warehouse) => {
+    setSelectedWarehouse(warehouse);
+  };
+
+  // Create draft purchase orders from the current reorder analysis
+  const createPurchaseOrders = async () => {
+    try {
+      const response = await axios.post(`${API_BASE_URL}/purchase-orders/from-reorder-analysis`, {
+        warehouse: selectedWarehouse || undefined,
+        orderPolicy: analysisOptions.orderPolicy,
+        forecastModel: analysisOptions.forecastModel || undefined
+      });
+      const { created, skipped } = response.data;
+      showNotification(
+        `Created ${created.length} draft purchase order(s)${skipped.length ? `, ${skipped.length} item(s) already on order` : ''}`,
+        'success'
+      );
+      setActiveTab('purchase-orders');
+    } catch (error) {
+      showNotification('Failed to create purchase orders', 'error');
+      console.error('Error creating purchase orders:', error);
+    }
   };
 
   // Seed database with sample data
@@ -59,6 +156,7 @@ function App() {
       setLoading(true);
       await axios.post(`${API_BASE_URL}/seed-data`);
       showNotification('Sample data loaded successfully!', 'success');
+      fetchWarehouses();
       fetchProducts();
       fetchReorderAnalysis();
     } catch (error) {
@@ -68,12 +166,46 @@ function App() {
     }
   };
 
-  // Load data on component mount
+  // Restore a saved session, and sign out whenever the server rejects the token
   useEffect(() => {
-    fetchProducts();
-    fetchReorderAnalysis();
+    const interceptor = axios.interceptors.response.use(
+      response => response,
+      error => {
+        if (error.response?.status === 401 && !error.config.url.endsWith('/auth/login')) {
+          endSession();
+        }
+        return Promise.reject(error);
+      }
+    );
+
+    const token = localStorage.getItem(AUTH_TOKEN_KEY);
+    if (token) {
+      startSession(token);
+      axios.get(`${API_BASE_URL}/auth/me`)
+        .then(response => setUser(response.data))
+        .catch(error => console.error('Error restoring session:', error))
+        .finally(() => setAuthChecked(true));
+    } else {
+      setAuthChecked(true);
+    }
+
+    return () => axios.interceptors.response.eject(interceptor);
   }, []);
 
+  // Load data once signed in; products and the analysis reload when the warehouse or options change
+  const userId = user?._id;
+  useEffect(() => {
+    if (userId) fetchWarehouses();
+  }, [userId, fetchWarehouses]);
+
+  useEffect(() => {
+    if (userId) fetchProducts();
+  }, [userId, fetchProducts]);
+
+  useEffect(() => {
+    if (userId) fetchReorderAnalysis();
+  }, [userId, fetchReorderAnalysis]);
+
   // Tab navigation component
   const TabButton = ({ id, label, icon, isActive, onClick }) => (
     <button
@@ -125,6 +257,18 @@ function App() {
     criticalItems: products.filter(p => p.criticality === 'high').length
   };
 
+  if (!authChecked) {
+    return (
+      <div className="min-h-screen flex justify-center items-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  if (!user) {
+    return <Login onLogin={handleLogin} />;
+  }
+
   return (
     <div className="min-h-screen bg-gray-50">
       {/* Header */}
@@ -138,13 +282,29 @@ function App() {
               <p className="text-gray-600 mt-1">Intelligent Inventory Management & Reordering</p>
             </div>
             <div className="flex space-x-3">
-              <button
-                onClick={seedDatabase}
-                disabled={loading}
-                className="bg-green-600 hover:bg-green-700 text-white px-4 py-2 rounded-lg font-medium transition-colors duration-200 disabled:opacity-50"
-              >
-                {loading ? 'Loading...' : '🌱 Load Sample Data'}
-              </button>
+              {warehouses.length > 0 && (
+                <select
+                  value={selectedWarehouse}
+                  onChange={(e) => changeWarehouse(e.target.value)}
+                  className="border border-gray-300 rounded-lg px-3 py-2 font-medium text-gray-700 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                >
+                  <option value="">🌐 All Warehouses</option>
+                  {warehouses.map(warehouse => (
+                    <option key={warehouse._id} value={warehouse.warehouseId}>
+                      🏬 {warehouse.name}
+                    </option>
+                  ))}
+                </select>
+              )}
+              {can('admin') && (
+                <button
+                  onClick={seedDatabase}
+                  disabled={loading}
+                  className="bg-green-600 hover:bg-green-700 text-white px-4 py-2 rounded-lg font-medium transition-colors duration-200 disabled:opacity-50"
+                >
+                  {loading ? 'Loading...' : '🌱 Load Sample Data'}
+                </button>
+              )}
               <button
                 onClick={() => {
                   fetchProducts();
@@ -155,6 +315,18 @@ function App() {
               >
                 {loading ? 'Loading...' : '🔄 Refresh Data'}
               </button>
+              <div className="flex items-center space-x-3 pl-3 border-l border-gray-200">
+                <div className="text-right">
+                  <div className="text-sm font-medium text-gray-900">👤 {user.name}</div>
+                  <div className="text-xs text-gray-500 capitalize">{user.role.replace('_', ' ')}</div>
+                </div>
+                <button
+                  onClick={logout}
+                  className="text-gray-600 hover:text-red-600 text-sm font-medium"
+                >
+                  Sign Out
+                </button>
+              </div>
             </div>
           </div>
         </div>
@@ -185,6 +357,13 @@ function App() {
               isActive={activeTab === 'reorder'}
               onClick={setActiveTab}
             />
+            <TabButton
+              id="transfers"
+              label="Transfers"
+              icon="🚚"
+              isActive={activeTab === 'transfers'}
+              onClick={setActiveTab}
+            />
             <TabButton
               id="simulation"
               label="Demand Simulation"
@@ -193,12 +372,62 @@ function App() {
               onClick={setActiveTab}
             />
             <TabButton
-              id="add-product"
-              label="Add Product"
-              icon="➕"
-              isActive={activeTab === 'add-product'}
+              id="suppliers"
+              label="Suppliers"
+              icon="🏢"
+              isActive={activeTab === 'suppliers'}
               onClick={setActiveTab}
             />
+            <TabButton
+              id="purchase-orders"
+              label="Purchase Orders"
+              icon="🧾"
+              isActive={activeTab === 'purchase-orders'}
+              onClick={setActiveTab}
+            />
+            <TabButton
+              id="alerts"
+              label="Alerts"
+              icon="🔔"
+              isActive={activeTab === 'alerts'}
+              onClick={setActiveTab}
+            />
+            {can('inventory') && (
+              <>
+                <TabButton
+                  id="add-product"
+                  label="Add Product"
+                  icon="➕"
+                  isActive={activeTab === 'add-product'}
+                  onClick={setActiveTab}
+                />
+                <TabButton
+                  id="import"
+                  label="Import"
+                  icon="📥"
+                  isActive={activeTab === 'import'}
+                  onClick={setActiveTab}
+                />
+              </>
+            )}
+            {can('admin') && (
+              <>
+                <TabButton
+                  id="users"
+                  label="Users"
+                  icon="👥"
+                  isActive={activeTab === 'users'}
+                  onClick={setActiveTab}
+                />
+                <TabButton
+                  id="jobs"
+                  label="Jobs"
+                  icon="⏱️"
+                  isActive={activeTab === 'jobs'}
+                  onClick={setActiveTab}
+                />
+              </>
+            )}
           </div>
         </div>
       </nav>
@@ -275,15 +504,20 @@ function App() {
                 </div>
               </div>
             </div>
+
+            {/* Trends */}
+            <TrendCharts warehouse={selectedWarehouse} />
           </div>
         )}
 
         {/* Products Tab */}
         {activeTab === 'products' && (
           <ProductList 
-            products={products} 
-            loading={loading}
-            onRefresh={fetchProducts}
+            products={products}
+            warehouse={selectedWarehouse}
+            canEdit={can('inventory')}
+            canDelete={can('products:delete')}
+            onRefresh={() => fetchProducts()}
             showNotification={showNotification}
           />
         )}
@@ -293,20 +527,75 @@ function App() {
           <ReorderAnalysis 
             reorderData={reorderData} 
             loading={loading}
-            onRefresh={fetchReorderAnalysis}
+            warehouse={selectedWarehouse}
+            showNotification={showNotification}
+            onRefresh={() => fetchReorderAnalysis()}
+            analysisOptions={analysisOptions}
+            onAnalysisOptionsChange={changeAnalysisOptions}
+            onCreatePurchaseOrders={can('purchasing') ? createPurchaseOrders : null}
+          />
+        )}
+
+        {/* Transfers Tab */}
+        {activeTab === 'transfers' && (
+          <TransferRecommendations
+            showNotification={showNotification}
+            onStockChanged={() => {
+              fetchProducts();
+              fetchReorderAnalysis();
+            }}
           />
         )}
 
         {/* Demand Simulation Tab */}
         {activeTab === 'simulation' && (
-          <DemandSpikeSim 
+          <div className="space-y-10">
+            <DemandSpikeSim 
+              products={products}
+              showNotification={showNotification}
+            />
+            <PortfolioSim
+              products={products}
+              showNotification={showNotification}
+            />
+          </div>
+        )}
+
+        {/* Suppliers Tab */}
+        {activeTab === 'suppliers' && (
+          <Suppliers
             products={products}
             showNotification={showNotification}
+            onSuppliersChanged={() => {
+              fetchProducts();
+              fetchReorderAnalysis();
+            }}
+          />
+        )}
+
+        {/* Purchase Orders Tab */}
+        {activeTab === 'purchase-orders' && (
+          <PurchaseOrders
+            showNotification={showNotification}
+            onStockChanged={() => {
+              fetchProducts();
+              fetchReorderAnalysis();
+            }}
+          />
+        )}
+
+        {/* Alerts Tab */}
+        {activeTab === 'alerts' && (
+          <Alerts
+            warehouses={warehouses}
+            categories={[...new Set(products.map(product => product.category).filter(Boolean))].sort()}
+            canManage={can('inventory')}
+            showNotification={showNotification}
           />
         )}
 
         {/* Add Product Tab */}
-        {activeTab === 'add-product' && (
+        {activeTab === 'add-product' && can('inventory') && (
           <AddProductForm 
             onProductAdded={() => {
               fetchProducts();
@@ -316,6 +605,28 @@ function App() {
             showNotification={showNotification}
           />
         )}
+
+        {/* Import Tab */}
+        {activeTab === 'import' && can('inventory') && (
+          <ProductImport
+            warehouse={selectedWarehouse}
+            showNotification={showNotification}
+            onImported={() => {
+              fetchProducts();
+              fetchReorderAnalysis();
+            }}
+          />
+        )}
+
+        {/* Users Tab */}
+        {activeTab === 'users' && can('admin') && (
+          <Users currentUser={user} showNotification={showNotification} />
+        )}
+
+        {/* Jobs Tab */}
+        {activeTab === 'jobs' && can('admin') && (
+          <Jobs showNotification={showNotification} />
+        )}
       </main>
 
       {/* Notification */}
@@ -1,5 +1,6 @@
 import React, { useState } from 'react';
 import axios from 'axios';
+import PriceBreaksEditor from './PriceBreaksEditor';
 
 const API_BASE_URL = 'http://localhost:5000/api';
 
@@ -30,12 +31,17 @@ const AddProductForm = ({ onProductAdded, showNotification }) => {
   const [formData, setFormData] = useState({
     productId: '',
     name: '',
+    category: '',
     currentStock: '',
     averageDailySales: '',
     supplierLeadTime: '',
     minimumReorderQuantity: '',
     costPerUnit: '',
-    criticality: 'medium'
+    criticality: 'medium',
+    packSize: '',
+    orderMultiple: '',
+    maximumOrderQuantity: '',
+    priceBreaks: []
   });
   const [loading, setLoading] = useState(false);
   const [errors, setErrors] = useState({});
@@ -81,6 +87,15 @@ const AddProductForm = ({ onProductAdded, showNotification }) => {
     if (!formData.costPerUnit || formData.costPerUnit <= 0) {
       newErrors.costPerUnit = 'Cost per unit must be greater than 0';
     }
+    ['packSize', 'orderMultiple'].forEach(field => {
+      if (formData[field] !== '' && !(Number.isInteger(Number(formData[field])) && formData[field] >= 1)) {
+        newErrors[field] = 'Must be a whole number of at least 1';
+      }
+    });
+    if (formData.maximumOrderQuantity !== '' &&
+        Number(formData.maximumOrderQuantity) < Number(formData.minimumReorderQuantity)) {
+      newErrors.maximumOrderQuantity = 'Maximum order quantity must be at least the minimum reorder quantity';
+    }
 
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
@@ -99,11 +114,16 @@ const AddProductForm = ({ onProductAdded, showNotification }) => {
       setLoading(true);
       const productData = {
         ...formData,
+        category: formData.category.trim() || undefined,
         currentStock: parseInt(formData.currentStock),
         averageDailySales: parseFloat(formData.averageDailySales),
         supplierLeadTime: parseInt(formData.supplierLeadTime),
         minimumReorderQuantity: parseInt(formData.minimumReorderQuantity),
-        costPerUnit: parseFloat(formData.costPerUnit)
+        costPerUnit: parseFloat(formData.costPerUnit),
+        packSize: formData.packSize ? parseInt(formData.packSize) : undefined,
+        orderMultiple: formData.orderMultiple ? parseInt(formData.orderMultiple) : undefined,
+        maximumOrderQuantity: formData.maximumOrderQuantity ? parseInt(formData.maximumOrderQuantity) : undefined,
+        priceBreaks: formData.priceBreaks.filter(priceBreak => priceBreak.minQuantity !== '' && priceBreak.costPerUnit !== '')
       };
 
       await axios.post(`${API_BASE_URL}/products`, productData);
@@ -112,12 +132,17 @@ const AddProductForm = ({ onProductAdded, showNotification }) => {
       setFormData({
         productId: '',
         name: '',
+        category: '',
         currentStock: '',
         averageDailySales: '',
         supplierLeadTime: '',
         minimumReorderQuantity: '',
         costPerUnit: '',
-        criticality: 'medium'
+        criticality: 'medium',
+        packSize: '',
+        orderMultiple: '',
+        maximumOrderQuantity: '',
+        priceBreaks: []
       });
       
       onProductAdded();
@@ -138,12 +163,17 @@ const AddProductForm = ({ onProductAdded, showNotification }) => {
     setFormData({
       productId: '',
       name: '',
+      category: '',
       currentStock: '',
       averageDailySales: '',
       supplierLeadTime: '',
       minimumReorderQuantity: '',
       costPerUnit: '',
-      criticality: 'medium'
+      criticality: 'medium',
+      packSize: '',
+      orderMultiple: '',
+      maximumOrderQuantity: '',
+      priceBreaks: []
     });
     setErrors({});
   };
@@ -195,6 +225,15 @@ const AddProductForm = ({ onProductAdded, showNotification }) => {
                 handleInputChange={handleInputChange}
                 errors={errors}
               />
+              <FormInput
+                label="Category"
+                field="category"
+                placeholder="e.g., Audio"
+                required={false}
+                formData={formData}
+                handleInputChange={handleInputChange}
+                errors={errors}
+              />
             </div>
           </div>
 
@@ -250,7 +289,43 @@ const AddProductForm = ({ onProductAdded, showNotification }) => {
                 handleInputChange={handleInputChange}
                 errors={errors}
               />
+              <FormInput
+                label="Pack Size (units per carton)"
+                field="packSize"
+                type="number"
+                placeholder="e.g., 24"
+                min="1"
+                required={false}
+                formData={formData}
+                handleInputChange={handleInputChange}
+                errors={errors}
+              />
+              <FormInput
+                label="Order Multiple (units)"
+                field="orderMultiple"
+                type="number"
+                placeholder="e.g., 48"
+                min="1"
+                required={false}
+                formData={formData}
+                handleInputChange={handleInputChange}
+                errors={errors}
+              />
+              <FormInput
+                label="Maximum Order Quantity"
+                field="maximumOrderQuantity"
+                type="number"
+                placeholder="No limit"
+                min="1"
+                required={false}
+                formData={formData}
+                handleInputChange={handleInputChange}
+                errors={errors}
+              />
             </div>
+            <p className="text-xs text-gray-500 mt-2">
+              Reorder quantities are rounded up to whole packs and order multiples, and capped at the maximum.
+            </p>
           </div>
 
           {/* Financial & Priority Section */}
@@ -283,6 +358,13 @@ const AddProductForm = ({ onProductAdded, showNotification }) => {
                 </select>
               </div>
             </div>
+            <div className="mt-4">
+              <PriceBreaksEditor
+                priceBreaks={formData.priceBreaks}
+                onChange={(priceBreaks) => handleInputChange('priceBreaks', priceBreaks)}
+                listPrice={formData.costPerUnit}
+              />
+            </div>
           </div>
 
           {/* Preview Section */}
@@ -0,0 +1,493 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+
+const API_BASE_URL = 'http://localhost:5000/api';
+
+const alertTypes = [
+  { value: 'below_threshold', label: 'Below safety threshold', description: 'Days of cover fall to the reorder point' },
+  { value: 'projected_stockout', label: 'Projected stockout', description: 'Stock runs out within N days unless more is ordered' },
+  { value: 'out_of_stock', label: 'Out of stock', description: 'Stock on hand reaches zero' }
+];
+
+const criticalityOptions = ['high', 'medium', 'low'];
+
+const emptyForm = {
+  name: '',
+  type: 'below_threshold',
+  withinDays: 7,
+  criticality: [],
+  category: '',
+  warehouse: '',
+  webhooks: '',
+  emails: '',
+  notifyResolved: false
+};
+
+// One URL or address per line (commas also work)
+const splitList = (text) => text.split(/[\n,]/).map(entry => entry.trim()).filter(Boolean);
+
+const typeLabel = (type) => alertTypes.find(option => option.value === type)?.label || type;
+
+const Alerts = ({ warehouses, categories, canManage, showNotification }) => {
+  const [rules, setRules] = useState([]);
+  const [alerts, setAlerts] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [form, setForm] = useState(emptyForm);
+  const [editingId, setEditingId] = useState(null);
+  const [unacknowledgedOnly, setUnacknowledgedOnly] = useState(false);
+  const [evaluating, setEvaluating] = useState(false);
+
+  const fetchRules = useCallback(async () => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/alert-rules`);
+      setRules(response.data);
+    } catch (error) {
+      showNotification('Failed to fetch alert rules', 'error');
+      console.error('Error fetching alert rules:', error);
+    }
+  }, [showNotification]);
+
+  const fetchAlerts = useCallback(async () => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/alerts`, {
+        params: { limit: 100, unacknowledged: unacknowledgedOnly ? 'true' : undefined }
+      });
+      setAlerts(response.data);
+    } catch (error) {
+      showNotification('Failed to fetch alerts', 'error');
+      console.error('Error fetching alerts:', error);
+    }
+  }, [unacknowledgedOnly, showNotification]);
+
+  useEffect(() => {
+    const load = async () => {
+      setLoading(true);
+      await fetchRules();
+      setLoading(false);
+    };
+    load();
+  }, [fetchRules]);
+
+  useEffect(() => {
+    fetchAlerts();
+  }, [fetchAlerts]);
+
+  const resetForm = () => {
+    setForm(emptyForm);
+    setEditingId(null);
+  };
+
+  const editRule = (rule) => {
+    setEditingId(rule._id);
+    setForm({
+      name: rule.name,
+      type: rule.type,
+      withinDays: rule.withinDays,
+      criticality: rule.criticality,
+      category: rule.category || '',
+      warehouse: rule.warehouse?._id || '',
+      webhooks: rule.webhooks.join('\n'),
+      emails: rule.emails.join('\n'),
+      notifyResolved: rule.notifyResolved
+    });
+  };
+
+  // Create a rule, or save the one being edited
+  const saveRule = async (e) => {
+    e.preventDefault();
+    const payload = {
+      ...form,
+      withinDays: parseInt(form.withinDays),
+      webhooks: splitList(form.webhooks),
+      emails: splitList(form.emails)
+    };
+    try {
+      if (editingId) {
+        await axios.put(`${API_BASE_URL}/alert-rules/${editingId}`, payload);
+        showNotification(`Alert rule ${form.name} saved`, 'success');
+      } else {
+        await axios.post(`${API_BASE_URL}/alert-rules`, payload);
+        showNotification(`Alert rule ${form.name} created`, 'success');
+      }
+      resetForm();
+      fetchRules();
+    } catch (error) {
+      showNotification(error.response?.data?.message || 'Failed to save alert rule', 'error');
+      console.error('Error saving alert rule:', error);
+    }
+  };
+
+  const toggleRule = async (rule) => {
+    try {
+      const response = await axios.put(`${API_BASE_URL}/alert-rules/${rule._id}`, { active: !rule.active });
+      setRules(prev => prev.map(entry => (entry._id === rule._id ? response.data : entry)));
+      showNotification(`${rule.name} ${rule.active ? 'paused' : 'resumed'}`, 'success');
+    } catch (error) {
+      showNotification(error.response?.data?.message || 'Failed to update alert rule', 'error');
+      console.error('Error updating alert rule:', error);
+    }
+  };
+
+  const deleteRule = async (rule) => {
+    if (!window.confirm(`Delete alert rule ${rule.name}? Its past alerts are kept.`)) return;
+    try {
+      await axios.delete(`${API_BASE_URL}/alert-rules/${rule._id}`);
+      showNotification('Alert rule deleted', 'success');
+      if (editingId === rule._id) resetForm();
+      fetchRules();
+    } catch (error) {
+      showNotification(error.response?.data?.message || 'Failed to delete alert rule', 'error');
+      console.error('Error deleting alert rule:', error);
+    }
+  };
+
+  // Send a sample notification to the rule's webhooks and email addresses
+  const testRule = async (rule) => {
+    try {
+      const response = await axios.post(`${API_BASE_URL}/alert-rules/${rule._id}/test`);
+      const failed = response.data.deliveries.filter(delivery => delivery.status === 'failed');
+      if (failed.length === 0) {
+        showNotification(`Test sent to ${response.data.deliveries.length} destination(s)`, 'success');
+      } else {
+        showNotification(`Test failed for ${failed.map(delivery => `${delivery.target} (${delivery.error})`).join(', ')}`, 'error');
+      }
+    } catch (error) {
+      showNotification(error.response?.data?.message || 'Failed to test alert rule', 'error');
+      console.error('Error testing alert rule:', error);
+    }
+  };
+
+  // Check every rule now instead of waiting for the next scheduled check
+  const evaluateNow = async () => {
+    try {
+      setEvaluating(true);
+      const response = await axios.post(`${API_BASE_URL}/alerts/evaluate`);
+      const { triggered, resolved, failedDeliveries } = response.data;
+      showNotification(
+        `${triggered} triggered, ${resolved} resolved${failedDeliveries > 0 ? `, ${failedDeliveries} deliveries failed` : ''}`,
+        failedDeliveries > 0 ? 'error' : 'success'
+      );
+      fetchAlerts();
+      fetchRules();
+    } catch (error) {
+      showNotification(error.response?.data?.message || 'Failed to check alert rules', 'error');
+      console.error('Error evaluating alert rules:', error);
+    } finally {
+      setEvaluating(false);
+    }
+  };
+
+  const acknowledgeAlert = async (alert) => {
+    try {
+      const response = await axios.post(`${API_BASE_URL}/alerts/${alert._id}/acknowledge`);
+      setAlerts(prev => (unacknowledgedOnly
+        ? prev.filter(entry => entry._id !== alert._id)
+        : prev.map(entry => (entry._id === alert._id
+          ? { ...entry, acknowledgedAt: response.data.acknowledgedAt, acknowledgedBy: response.data.acknowledgedBy }
+          : entry))));
+    } catch (error) {
+      showNotification(error.response?.data?.message || 'Failed to acknowledge alert', 'error');
+      console.error('Error acknowledging alert:', error);
+    }
+  };
+
+  const toggleCriticality = (level) => {
+    setForm(prev => ({
+      ...prev,
+      criticality: prev.criticality.includes(level)
+        ? prev.criticality.filter(entry => entry !== level)
+        : [...prev.criticality, level]
+    }));
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  const inputClass = 'w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex flex-wrap justify-between items-end gap-4">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900">🔔 Alerts</h2>
+          <p className="text-gray-600 mt-1">
+            Notify webhooks and email when products cross their safety threshold, are about to run out or hit zero
+          </p>
+        </div>
+        {canManage && (
+          <button
+            onClick={evaluateNow}
+            disabled={evaluating}
+            className="bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400 text-white px-4 py-2 rounded-lg font-medium transition-colors duration-200"
+          >
+            {evaluating ? 'Checking…' : '🔄 Check Now'}
+          </button>
+        )}
+      </div>
+
+      {/* Rule Form */}
+      {canManage && (
+        <form onSubmit={saveRule} className="bg-white rounded-xl shadow-lg p-6 space-y-4">
+          <h3 className="text-lg font-semibold text-gray-800">{editingId ? '✏️ Edit Rule' : '➕ New Rule'}</h3>
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-3">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+              <input
+                type="text"
+                value={form.name}
+                onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Condition</label>
+              <select
+                value={form.type}
+                onChange={(e) => setForm(prev => ({ ...prev, type: e.target.value }))}
+                title={alertTypes.find(option => option.value === form.type)?.description}
+                className={inputClass}
+              >
+                {alertTypes.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+            {form.type === 'projected_stockout' && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Within (days)</label>
+                <input
+                  type="number"
+                  min="1"
+                  max="365"
+                  value={form.withinDays}
+                  onChange={(e) => setForm(prev => ({ ...prev, withinDays: e.target.value }))}
+                  className={inputClass}
+                />
+              </div>
+            )}
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Warehouse</label>
+              <select
+                value={form.warehouse}
+                onChange={(e) => setForm(prev => ({ ...prev, warehouse: e.target.value }))}
+                className={inputClass}
+              >
+                <option value="">All warehouses (network stock)</option>
+                {warehouses.map(warehouse => (
+                  <option key={warehouse._id} value={warehouse._id}>{warehouse.name}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Category</label>
+              <select
+                value={form.category}
+                onChange={(e) => setForm(prev => ({ ...prev, category: e.target.value }))}
+                className={inputClass}
+              >
+                <option value="">Any category</option>
+                {categories.map(category => (
+                  <option key={category} value={category}>{category}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Criticality</label>
+              <div className="flex space-x-3 py-2">
+                {criticalityOptions.map(level => (
+                  <label key={level} className="flex items-center space-x-1 text-sm capitalize">
+                    <input
+                      type="checkbox"
+                      checked={form.criticality.includes(level)}
+                      onChange={() => toggleCriticality(level)}
+                    />
+                    <span>{level}</span>
+                  </label>
+                ))}
+              </div>
+            </div>
+          </div>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Webhook URLs (one per line)</label>
+              <textarea
+                rows={2}
+                value={form.webhooks}
+                onChange={(e) => setForm(prev => ({ ...prev, webhooks: e.target.value }))}
+                placeholder="https://hooks.example.com/warehouse"
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Email addresses (one per line)</label>
+              <textarea
+                rows={2}
+                value={form.emails}
+                onChange={(e) => setForm(prev => ({ ...prev, emails: e.target.value }))}
+                placeholder="purchasing@example.com"
+                className={inputClass}
+              />
+            </div>
+          </div>
+          <div className="flex flex-wrap justify-between items-center gap-3">
+            <label className="flex items-center space-x-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={form.notifyResolved}
+                onChange={(e) => setForm(prev => ({ ...prev, notifyResolved: e.target.checked }))}
+              />
+              <span>Also notify when the condition clears</span>
+            </label>
+            <div className="space-x-2">
+              {editingId && (
+                <button
+                  type="button"
+                  onClick={resetForm}
+                  className="bg-gray-200 hover:bg-gray-300 text-gray-800 px-4 py-2 rounded-lg font-medium transition-colors duration-200"
+                >
+                  Cancel
+                </button>
+              )}
+              <button
+                type="submit"
+                disabled={!form.name}
+                className="bg-green-600 hover:bg-green-700 disabled:bg-gray-400 text-white px-4 py-2 rounded-lg font-medium transition-colors duration-200"
+              >
+                {editingId ? '💾 Save Rule' : '➕ Add Rule'}
+              </button>
+            </div>
+          </div>
+        </form>
+      )}
+
+      {/* Rule List */}
+      <div className="bg-white rounded-xl shadow-lg overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              {['Rule', 'Applies To', 'Notifies', 'Last Checked', 'Status', ''].map(heading => (
+                <th key={heading} className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  {heading}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {rules.length === 0 && (
+              <tr>
+                <td colSpan={6} className="px-4 py-6 text-center text-sm text-gray-500">No alert rules yet</td>
+              </tr>
+            )}
+            {rules.map(rule => (
+              <tr key={rule._id} className={rule.active ? '' : 'opacity-50'}>
+                <td className="px-4 py-3">
+                  <div className="text-sm font-medium text-gray-900">{rule.name}</div>
+                  <div className="text-xs text-gray-500">
+                    {typeLabel(rule.type)}{rule.type === 'projected_stockout' && ` within ${rule.withinDays} days`}
+                  </div>
+                </td>
+                <td className="px-4 py-3 text-sm text-gray-600">
+                  <div>{rule.warehouse ? rule.warehouse.name : 'All warehouses'}</div>
+                  <div className="text-xs text-gray-500">
+                    {rule.category || 'Any category'} · {rule.criticality.length > 0 ? rule.criticality.join(', ') : 'any criticality'}
+                  </div>
+                </td>
+                <td className="px-4 py-3 text-xs text-gray-600">
+                  {[...rule.webhooks, ...rule.emails].map(target => (
+                    <div key={target} className="truncate max-w-xs">{target}</div>
+                  ))}
+                  {rule.webhooks.length === 0 && rule.emails.length === 0 && <span className="italic">Alert history only</span>}
+                </td>
+                <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-500">
+                  {rule.lastEvaluatedAt ? new Date(rule.lastEvaluatedAt).toLocaleString() : 'Not yet'}
+                </td>
+                <td className="px-4 py-3 whitespace-nowrap text-sm">
+                  {rule.active ? '✅ Active' : '⏸️ Paused'}
+                </td>
+                <td className="px-4 py-3 whitespace-nowrap text-right space-x-3 text-sm">
+                  {canManage && (
+                    <>
+                      <button onClick={() => testRule(rule)} className="text-blue-600 hover:text-blue-800">Test</button>
+                      <button onClick={() => editRule(rule)} className="text-gray-600 hover:text-gray-800">Edit</button>
+                      <button onClick={() => toggleRule(rule)} className="text-gray-600 hover:text-gray-800">
+                        {rule.active ? 'Pause' : 'Resume'}
+                      </button>
+                      <button onClick={() => deleteRule(rule)} className="text-red-600 hover:text-red-800">Delete</button>
+                    </>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {/* Alert History */}
+      <div className="bg-white rounded-xl shadow-lg p-6 space-y-4">
+        <div className="flex justify-between items-center">
+          <h3 className="text-lg font-semibold text-gray-800">📜 Recent Alerts</h3>
+          <label className="flex items-center space-x-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={unacknowledgedOnly}
+              onChange={(e) => setUnacknowledgedOnly(e.target.checked)}
+            />
+            <span>Unacknowledged only</span>
+          </label>
+        </div>
+        {alerts.length === 0 ? (
+          <p className="text-sm text-gray-500 italic">No alerts to show.</p>
+        ) : (
+          <ul className="divide-y divide-gray-100">
+            {alerts.map(alert => {
+              // Latest attempt per destination; failed ones are retried until nextRetryAt is cleared
+              const latest = [...new Map(alert.deliveries.map(delivery => [`${delivery.channel}:${delivery.target}`, delivery])).values()];
+              const failed = latest.filter(delivery => delivery.status === 'failed');
+              return (
+                <li key={alert._id} className={`py-3 flex justify-between items-start gap-4 ${alert.acknowledgedAt ? 'opacity-60' : ''}`}>
+                  <div>
+                    <div className="text-sm text-gray-900">
+                      <span className={`mr-2 px-2 py-0.5 rounded-full text-xs ${alert.event === 'triggered' ? 'bg-red-100 text-red-800' : 'bg-green-100 text-green-800'}`}>
+                        {alert.event}
+                      </span>
+                      {alert.message}
+                    </div>
+                    <div className="text-xs text-gray-500 mt-1">
+                      {new Date(alert.createdAt).toLocaleString()} · {alert.ruleName}
+                      {alert.warehouse && ` · ${alert.warehouse.name}`}
+                      {latest.length > 0 && ` · sent to ${latest.length - failed.length} of ${latest.length}`}
+                    </div>
+                    {failed.map(delivery => (
+                      <div key={delivery.target} className="text-xs text-red-600">
+                        ⚠️ {delivery.channel} to {delivery.target} failed: {delivery.error}
+                        {alert.retryTargets?.some(entry => entry.target === delivery.target) &&
+                          ` · retrying ${new Date(alert.nextRetryAt).toLocaleTimeString()}`}
+                      </div>
+                    ))}
+                  </div>
+                  <div className="text-right text-xs text-gray-500 whitespace-nowrap">
+                    {alert.acknowledgedAt ? (
+                      <span>✔️ {alert.acknowledgedBy?.username}</span>
+                    ) : canManage && (
+                      <button onClick={() => acknowledgeAlert(alert)} className="text-blue-600 hover:text-blue-800 text-sm">
+                        Acknowledge
+                      </button>
+                    )}
+                  </div>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Alerts;
@@ -0,0 +1,175 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+
+const API_BASE_URL = 'http://localhost:5000/api';
+
+const formatRupees = (value) => `₹${value.toLocaleString('en-US', { maximumFractionDigits: 0 })}`;
+
+const statusStyles = {
+  full: 'bg-green-100 text-green-800',
+  partial: 'bg-yellow-100 text-yellow-800',
+  deferred: 'bg-gray-100 text-gray-700'
+};
+
+// Fit the recommended reorders into a purchasing budget chosen with a slider
+const BudgetPlan = ({ totalReorderCost, warehouse, analysisOptions, reorderData }) => {
+  const [budget, setBudget] = useState(null);
+  const [debouncedBudget, setDebouncedBudget] = useState(null);
+  const [plan, setPlan] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const maxBudget = Math.max(Math.ceil(totalReorderCost), 1);
+  const step = Math.max(1, Math.round(maxBudget / 200));
+
+  // Wait for the slider to settle before asking for a new plan
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedBudget(budget), 300);
+    return () => clearTimeout(timer);
+  }, [budget]);
+
+  // The first request (no budget) uses the server's default, which sets the slider's starting point.
+  // A request superseded by a newer budget is aborted so a slow reply can't replace the current plan.
+  const fetchPlan = useCallback(async (signal) => {
+    try {
+      setLoading(true);
+      const response = await axios.get(`${API_BASE_URL}/reorder-analysis/budget-plan`, {
+        params: {
+          budget: debouncedBudget ?? undefined,
+          warehouse: warehouse || undefined,
+          orderPolicy: analysisOptions.orderPolicy,
+          forecastModel: analysisOptions.forecastModel || undefined
+        },
+        signal
+      });
+      setPlan(response.data);
+      setBudget(current => current ?? Math.min(Math.round(response.data.budget), maxBudget));
+    } catch (error) {
+      if (axios.isCancel(error)) return;
+      setPlan(null);
+      console.error('Error fetching budget plan:', error);
+    } finally {
+      if (!signal.aborted) setLoading(false);
+    }
+  }, [debouncedBudget, warehouse, analysisOptions, maxBudget]);
+
+  // reorderData is reloaded whenever the warehouse or analysis options change
+  useEffect(() => {
+    const controller = new AbortController();
+    fetchPlan(controller.signal);
+    return () => controller.abort();
+  }, [fetchPlan, reorderData]);
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6 space-y-4">
+      <div className="flex flex-wrap justify-between items-end gap-4">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-800">💰 Budget Planner</h3>
+          <p className="text-sm text-gray-600">
+            Orders are funded by stockout risk avoided per rupee, weighted by criticality and how soon stock runs out
+          </p>
+        </div>
+        <div className="w-full md:w-96">
+          <div className="flex justify-between text-sm mb-1">
+            <span className="font-medium text-gray-700">Budget</span>
+            <span className="font-bold text-blue-600">{formatRupees(budget ?? 0)}</span>
+          </div>
+          <input
+            type="range"
+            min={0}
+            max={maxBudget}
+            step={step}
+            value={budget ?? 0}
+            onChange={(e) => setBudget(parseInt(e.target.value))}
+            className="w-full accent-blue-600"
+          />
+          <div className="flex justify-between text-xs text-gray-500">
+            <span>₹0</span>
+            <span>{formatRupees(maxBudget)} (everything recommended)</span>
+          </div>
+        </div>
+      </div>
+
+      {plan && (
+        <div className={`space-y-4 ${loading ? 'opacity-50' : ''}`}>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-center">
+            <div>
+              <div className="text-2xl font-bold text-green-600">{formatRupees(plan.plannedCost)}</div>
+              <div className="text-sm text-gray-600">Planned Spend</div>
+            </div>
+            <div>
+              <div className="text-2xl font-bold text-gray-800">{formatRupees(plan.remainingBudget)}</div>
+              <div className="text-sm text-gray-600">Left Unspent</div>
+            </div>
+            <div>
+              <div className="text-2xl font-bold text-orange-600">{formatRupees(plan.deferredCost)}</div>
+              <div className="text-sm text-gray-600">Deferred</div>
+            </div>
+            <div>
+              <div className="text-2xl font-bold text-blue-600">{plan.riskReduction.percent}%</div>
+              <div className="text-sm text-gray-600">Of Risk Reduction Achievable</div>
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            <div>
+              <h4 className="font-medium text-gray-800 mb-2">🛒 Order Now ({plan.plan.length})</h4>
+              {plan.plan.length === 0 ? (
+                <p className="text-sm text-gray-500 italic">The budget doesn't cover any minimum order.</p>
+              ) : (
+                <ul className="divide-y divide-gray-100 text-sm max-h-72 overflow-y-auto">
+                  {plan.plan.map(item => (
+                    <li key={item._id} className="py-2 flex justify-between items-center">
+                      <div>
+                        <div className="font-medium text-gray-900">{item.name}</div>
+                        <div className="text-xs text-gray-500">
+                          {item.productId} · {item.criticality} · {item.daysRemaining} days left
+                        </div>
+                      </div>
+                      <div className="text-right">
+                        <div className="font-medium">
+                          {item.plannedQuantity}
+                          {item.status === 'partial' && <span className="text-gray-400"> / {item.recommendedQuantity}</span>} units
+                        </div>
+                        <div className="text-xs text-gray-500">
+                          {formatRupees(item.plannedCost)}{' '}
+                          <span className={`px-1.5 py-0.5 rounded-full ${statusStyles[item.status]}`}>{item.status}</span>
+                        </div>
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+            <div>
+              <h4 className="font-medium text-gray-800 mb-2">⏸️ Deferred ({plan.deferred.length})</h4>
+              {plan.deferred.length === 0 ? (
+                <p className="text-sm text-green-700">✅ Every recommended order fits the budget.</p>
+              ) : (
+                <ul className="divide-y divide-gray-100 text-sm max-h-72 overflow-y-auto">
+                  {plan.deferred.map(item => (
+                    <li key={item._id} className="py-2 flex justify-between items-center">
+                      <div>
+                        <div className="font-medium text-gray-900">{item.name}</div>
+                        <div className="text-xs text-gray-500">
+                          {item.productId} · {item.criticality} · {item.daysRemaining} days left
+                        </div>
+                      </div>
+                      <div className="text-right">
+                        <div className="font-medium">{item.deferredQuantity} units</div>
+                        <div className="text-xs text-gray-500">
+                          {formatRupees(item.deferredCost)}{' '}
+                          <span className={`px-1.5 py-0.5 rounded-full ${statusStyles[item.status]}`}>{item.status}</span>
+                        </div>
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BudgetPlan;
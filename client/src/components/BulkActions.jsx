@@ -0,0 +1,211 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+
+const API_BASE_URL = 'http://localhost:5000/api';
+
+const productFields = [
+  { value: 'averageDailySales', label: 'Average Daily Sales' },
+  { value: 'supplierLeadTime', label: 'Supplier Lead Time (days)' },
+  { value: 'supplierLeadTimeStdDev', label: 'Lead Time Std Dev (days)' },
+  { value: 'minimumReorderQuantity', label: 'Minimum Reorder Quantity' },
+  { value: 'costPerUnit', label: 'Cost per Unit (₹)' },
+  { value: 'orderingCost', label: 'Ordering Cost (₹)' },
+  { value: 'holdingCostRate', label: 'Holding Cost Rate' }
+];
+
+// Only offered while the list is filtered to one supplier, whose link terms they change
+const supplierTermFields = [
+  { value: 'supplier.leadTime', label: 'Supplier Link: Lead Time (days)' },
+  { value: 'supplier.leadTimeStdDev', label: 'Supplier Link: Lead Time Std Dev' },
+  { value: 'supplier.costPerUnit', label: 'Supplier Link: Cost per Unit (₹)' },
+  { value: 'supplier.minimumOrderQuantity', label: 'Supplier Link: Minimum Order Quantity' }
+];
+
+const statusStyles = {
+  updated: 'text-green-600',
+  deleted: 'text-red-600',
+  unchanged: 'text-gray-500',
+  invalid: 'text-red-600'
+};
+
+const BulkActions = ({ productIds, filter, warehouse, count, canDelete, onApplied, showNotification }) => {
+  const [criticality, setCriticality] = useState('high');
+  const [field, setField] = useState(productFields[0].value);
+  const [mode, setMode] = useState('set');
+  const [value, setValue] = useState('');
+  const [report, setReport] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const fields = filter.supplier ? [...productFields, ...supplierTermFields] : productFields;
+
+  // Either the ticked products or everything matching the current filters
+  const selection = productIds
+    ? { productIds, filter: filter.supplier ? { supplier: filter.supplier } : undefined }
+    : { filter, warehouse: warehouse || undefined };
+
+  // Send a bulk change; nothing is written if any product fails validation
+  const runBulk = async (changes, confirmMessage) => {
+    if (!window.confirm(confirmMessage)) return;
+    try {
+      setSubmitting(true);
+      const response = await axios.patch(`${API_BASE_URL}/products/bulk`, { ...selection, ...changes });
+      const { summary } = response.data;
+      setReport(response.data);
+      showNotification(
+        changes.action === 'delete'
+          ? `Deleted ${summary.deleted} product(s)`
+          : `Updated ${summary.updated} product(s), ${summary.unchanged} already up to date`,
+        'success'
+      );
+      onApplied();
+    } catch (error) {
+      if (error.response?.data?.results) setReport(error.response.data);
+      showNotification(error.response?.data?.message || 'Bulk change failed', 'error');
+      console.error('Error applying bulk change:', error);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const applyCriticality = () => {
+    runBulk(
+      { action: 'update', set: { criticality } },
+      `Set criticality to ${criticality.toUpperCase()} on ${count} product(s)?`
+    );
+  };
+
+  const applyField = () => {
+    const number = parseFloat(value);
+    const label = fields.find(option => option.value === field).label;
+    runBulk(
+      { action: 'update', ...(mode === 'set' ? { set: { [field]: number } } : { adjustPercent: { [field]: number } }) },
+      mode === 'set'
+        ? `Set ${label} to ${number} on ${count} product(s)?`
+        : `Change ${label} by ${number > 0 ? '+' : ''}${number}% on ${count} product(s)?`
+    );
+  };
+
+  const applyDelete = () => {
+    runBulk(
+      { action: 'delete', expectedCount: count },
+      `Delete ${count} product(s)? Their sales and stock movements stay in the history. This cannot be undone.`
+    );
+  };
+
+  const visibleResults = report ? report.results.filter(result => result.status !== 'unchanged') : [];
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-4 space-y-4 border-2 border-blue-200">
+      <div className="flex flex-wrap items-end gap-4">
+        <div className="text-sm font-medium text-gray-700">
+          ☑️ {count} product{count === 1 ? '' : 's'} selected
+        </div>
+
+        {/* Criticality */}
+        <div className="flex items-end space-x-2">
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">Criticality</label>
+            <select
+              value={criticality}
+              onChange={(e) => setCriticality(e.target.value)}
+              className="border border-gray-300 rounded-lg px-2 py-1.5 text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            >
+              <option value="high">High</option>
+              <option value="medium">Medium</option>
+              <option value="low">Low</option>
+            </select>
+          </div>
+          <button
+            onClick={applyCriticality}
+            disabled={submitting || count === 0}
+            className="bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400 text-white px-3 py-1.5 rounded-lg text-sm font-medium transition-colors duration-200"
+          >
+            Apply
+          </button>
+        </div>
+
+        {/* Field Update */}
+        <div className="flex items-end space-x-2">
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">Field</label>
+            <select
+              value={field}
+              onChange={(e) => setField(e.target.value)}
+              className="border border-gray-300 rounded-lg px-2 py-1.5 text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            >
+              {fields.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+          <select
+            value={mode}
+            onChange={(e) => setMode(e.target.value)}
+            className="border border-gray-300 rounded-lg px-2 py-1.5 text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          >
+            <option value="set">Set to</option>
+            <option value="adjust">Adjust by %</option>
+          </select>
+          <input
+            type="number"
+            step="any"
+            value={value}
+            onChange={(e) => setValue(e.target.value)}
+            placeholder={mode === 'set' ? 'Value' : 'e.g. 10 or -5'}
+            className="w-28 border border-gray-300 rounded-lg px-2 py-1.5 text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
+          <button
+            onClick={applyField}
+            disabled={submitting || count === 0 || value === '' || Number.isNaN(parseFloat(value))}
+            className="bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400 text-white px-3 py-1.5 rounded-lg text-sm font-medium transition-colors duration-200"
+          >
+            Apply
+          </button>
+        </div>
+
+        {canDelete && (
+          <button
+            onClick={applyDelete}
+            disabled={submitting || count === 0}
+            className="ml-auto bg-red-600 hover:bg-red-700 disabled:bg-gray-400 text-white px-3 py-1.5 rounded-lg text-sm font-medium transition-colors duration-200"
+          >
+            🗑️ Delete Selected
+          </button>
+        )}
+      </div>
+
+      {/* Result Summary */}
+      {report && (
+        <div className="border-t border-gray-200 pt-3">
+          <div className="flex justify-between items-center text-sm">
+            <span className="font-medium text-gray-700">
+              {report.summary.invalid > 0
+                ? `❌ Nothing changed — ${report.summary.invalid} product(s) failed validation`
+                : report.action === 'delete'
+                  ? `✅ ${report.summary.deleted} deleted`
+                  : `✅ ${report.summary.updated} updated · ${report.summary.unchanged} unchanged`}
+            </span>
+            <button onClick={() => setReport(null)} className="text-gray-400 hover:text-gray-600">✖</button>
+          </div>
+          {visibleResults.length > 0 && (
+            <ul className="mt-2 max-h-48 overflow-y-auto divide-y divide-gray-100 text-xs">
+              {visibleResults.map(result => (
+                <li key={result._id || result.productId} className="py-1 flex space-x-3">
+                  <span className="font-medium text-gray-900 w-24 shrink-0">{result.productId}</span>
+                  <span className={`w-16 shrink-0 ${statusStyles[result.status]}`}>{result.status}</span>
+                  <span className="text-gray-600">
+                    {result.errors.length > 0
+                      ? result.errors.map(error => `${error.field ? `${error.field}: ` : ''}${error.message}`).join('; ')
+                      : result.changes.map(change => `${change.field}: ${change.before ?? '—'} → ${change.after}`).join(', ')}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BulkActions;
@@ -0,0 +1,106 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import { ComposedChart, Area, Line, XAxis, YAxis, Tooltip, ResponsiveContainer } from 'recharts';
+
+const API_BASE_URL = 'http://localhost:5000/api';
+
+const modelOptions = [
+  { value: 'moving-average', label: 'Moving Average' },
+  { value: 'exponential-smoothing', label: 'Exponential Smoothing' },
+  { value: 'holt-winters', label: 'Holt-Winters (weekly)' }
+];
+
+const DemandForecast = ({ product }) => {
+  const [model, setModel] = useState('exponential-smoothing');
+  const [horizon, setHorizon] = useState(30);
+  const [forecast, setForecast] = useState(null);
+  const [forecastError, setForecastError] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  // Fetch the forecast for the selected model and horizon
+  const fetchForecast = useCallback(async () => {
+    try {
+      setLoading(true);
+      setForecastError(null);
+      const response = await axios.get(`${API_BASE_URL}/products/${product._id}/forecast`, {
+        params: { model, horizon }
+      });
+      setForecast(response.data);
+    } catch (error) {
+      setForecast(null);
+      setForecastError(error.response?.data?.message || 'Failed to load forecast');
+      console.error('Error fetching forecast:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [product._id, model, horizon]);
+
+  useEffect(() => {
+    fetchForecast();
+  }, [fetchForecast]);
+
+  const chartData = forecast
+    ? forecast.points.map(point => ({
+        ...point,
+        label: new Date(point.date).toLocaleDateString(undefined, { month: 'short', day: 'numeric' }),
+        band: [point.lower, point.upper]
+      }))
+    : [];
+
+  return (
+    <div className="space-y-3">
+      <div className="grid grid-cols-2 gap-2">
+        <select
+          value={model}
+          onChange={(e) => setModel(e.target.value)}
+          className="border border-gray-300 rounded-lg px-2 py-1 text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+        >
+          {modelOptions.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+        <select
+          value={horizon}
+          onChange={(e) => setHorizon(parseInt(e.target.value))}
+          className="border border-gray-300 rounded-lg px-2 py-1 text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+        >
+          <option value={30}>Next 30 days</option>
+          <option value={60}>Next 60 days</option>
+          <option value={90}>Next 90 days</option>
+        </select>
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center items-center h-40">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+        </div>
+      ) : forecastError ? (
+        <p className="text-sm text-gray-500 italic text-center py-8">{forecastError}</p>
+      ) : forecast && (
+        <>
+          <div className="h-40">
+            <ResponsiveContainer width="100%" height="100%">
+              <ComposedChart data={chartData} margin={{ top: 5, right: 5, bottom: 0, left: -20 }}>
+                <XAxis dataKey="label" tick={{ fontSize: 10 }} interval="preserveStartEnd" />
+                <YAxis tick={{ fontSize: 10 }} />
+                <Tooltip
+                  formatter={(value, name) => (name === 'band' ? `${value[0]} – ${value[1]}` : value)}
+                />
+                <Area dataKey="band" stroke="none" fill="#bfdbfe" isAnimationActive={false} />
+                <Line dataKey="forecast" stroke="#2563eb" dot={false} strokeWidth={2} isAnimationActive={false} />
+              </ComposedChart>
+            </ResponsiveContainer>
+          </div>
+          <div className="grid grid-cols-2 gap-2 text-xs text-gray-600">
+            <div>Avg forecast: <span className="font-medium">{forecast.averageDailyForecast}/day</span></div>
+            <div>Based on: <span className="font-medium">{forecast.historyDays} days</span></div>
+            <div>Band: <span className="font-medium">{Math.round(forecast.confidence * 100)}% confidence</span></div>
+            <div>Error σ: <span className="font-medium">{forecast.residualStdDev}</span></div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default DemandForecast;
@@ -1,5 +1,7 @@
 import React, { useState } from 'react';
 import axios from 'axios';
+import MonteCarloResults from './MonteCarloResults';
+import InventoryProjectionChart from './InventoryProjectionChart';
 
 const API_BASE_URL = 'http://localhost:5000/api';
 
@@ -7,6 +9,9 @@ const DemandSpikeSim = ({ products, showNotification }) => {
   const [selectedProduct, setSelectedProduct] = useState('');
   const [spikeMultiplier, setSpikeMultiplier] = useState(2);
   const [spikeDuration, setSpikeDuration] = useState(7);
+  const [mode, setMode] = useState('deterministic');
+  const [trials, setTrials] = useState(5000);
+  const [serviceLevel, setServiceLevel] = useState('');
   const [simulationResult, setSimulationResult] = useState(null);
   const [loading, setLoading] = useState(false);
 
@@ -22,13 +27,19 @@ const DemandSpikeSim = ({ products, showNotification }) => {
       const response = await axios.post(`${API_BASE_URL}/simulate-demand-spike`, {
         productId: selectedProduct,
         spikeMultiplier: parseFloat(spikeMultiplier),
-        spikeDuration: parseInt(spikeDuration)
+        spikeDuration: parseInt(spikeDuration),
+        mode,
+        ...(mode === 'monte-carlo' && {
+          trials: parseInt(trials),
+          // Blank uses the product's criticality target
+          serviceLevel: serviceLevel === '' ? undefined : parseFloat(serviceLevel) / 100
+        })
       });
       
       setSimulationResult(response.data);
       showNotification('Simulation completed successfully!', 'success');
     } catch (error) {
-      showNotification('Failed to run simulation', 'error');
+      showNotification(error.response?.data?.message || 'Failed to run simulation', 'error');
       console.error('Error running simulation:', error);
     } finally {
       setLoading(false);
@@ -41,6 +52,13 @@ const DemandSpikeSim = ({ products, showNotification }) => {
     setSelectedProduct('');
     setSpikeMultiplier(2);
     setSpikeDuration(7);
+    setTrials(5000);
+    setServiceLevel('');
+  };
+
+  const changeMode = (nextMode) => {
+    setMode(nextMode);
+    setSimulationResult(null);
   };
 
   // Get selected product details
@@ -93,7 +111,25 @@ const DemandSpikeSim = ({ products, showNotification }) => {
 
       {/* Simulation Setup */}
       <div className="bg-white rounded-xl shadow-lg p-6">
-        <h3 className="text-lg font-semibold text-gray-800 mb-4">🎯 Simulation Parameters</h3>
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-lg font-semibold text-gray-800">🎯 Simulation Parameters</h3>
+          <div className="flex bg-gray-100 rounded-lg p-1 text-sm">
+            {[
+              { id: 'deterministic', label: '📐 Deterministic' },
+              { id: 'monte-carlo', label: '🎲 Monte Carlo' }
+            ].map(option => (
+              <button
+                key={option.id}
+                onClick={() => changeMode(option.id)}
+                className={`px-3 py-1 rounded-md font-medium transition-colors duration-200 ${
+                  mode === option.id ? 'bg-white text-blue-600 shadow' : 'text-gray-600 hover:text-blue-600'
+                }`}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+        </div>
         
         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
           {/* Product Selection */}
@@ -147,6 +183,45 @@ const DemandSpikeSim = ({ products, showNotification }) => {
             />
             <p className="text-xs text-gray-500 mt-1">How long the spike lasts</p>
           </div>
+
+          {mode === 'monte-carlo' && (
+            <>
+              {/* Trials */}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Trials
+                </label>
+                <input
+                  type="number"
+                  min="100"
+                  max="20000"
+                  step="100"
+                  value={trials}
+                  onChange={(e) => setTrials(e.target.value)}
+                  className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+                <p className="text-xs text-gray-500 mt-1">Randomized runs of demand and lead time</p>
+              </div>
+
+              {/* Service Level */}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Target Service Level (%)
+                </label>
+                <input
+                  type="number"
+                  min="50"
+                  max="99.9"
+                  step="0.1"
+                  value={serviceLevel}
+                  onChange={(e) => setServiceLevel(e.target.value)}
+                  placeholder="By criticality"
+                  className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+                <p className="text-xs text-gray-500 mt-1">Chance of not running out before restock</p>
+              </div>
+            </>
+          )}
         </div>
 
         {/* Selected Product Info */}
@@ -192,8 +267,12 @@ const DemandSpikeSim = ({ products, showNotification }) => {
         </div>
       </div>
 
+      {simulationResult && simulationResult.mode === 'monte-carlo' && (
+        <MonteCarloResults result={simulationResult} />
+      )}
+
       {/* Simulation Results */}
-      {simulationResult && (
+      {simulationResult && simulationResult.mode !== 'monte-carlo' && (
         <div className="space-y-6">
           {/* Spike Impact Overview */}
           <div className="bg-gradient-to-r from-orange-50 to-red-50 rounded-xl shadow-lg p-6 border border-orange-200">
@@ -256,6 +335,18 @@ const DemandSpikeSim = ({ products, showNotification }) => {
             </div>
           </div>
 
+          {/* Day-by-day Projection */}
+          {simulationResult.projection && (
+            <div className="bg-white rounded-xl shadow-lg p-6">
+              <h3 className="text-lg font-semibold text-gray-800 mb-1">📉 Day-by-day Projection</h3>
+              <p className="text-sm text-gray-600 mb-4">
+                Stock over the next {simulationResult.projection.horizonDays} days with the spike, assuming one order is
+                placed when stock reaches the reorder point and arrives after the supplier lead time
+              </p>
+              <InventoryProjectionChart projection={simulationResult.projection} />
+            </div>
+          )}
+
           {/* Detailed Analysis */}
           <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
             {/* Original State */}
@@ -394,6 +485,7 @@ const DemandSpikeSim = ({ products, showNotification }) => {
               <li>Updates remaining stock after the spike</li>
               <li>Recalculates average daily sales with spike impact</li>
               <li>Determines new reorder requirements</li>
+              <li>Monte Carlo mode repeats this thousands of times with random daily demand and lead times</li>
             </ul>
           </div>
           <div>
@@ -0,0 +1,91 @@
+import React from 'react';
+import { ComposedChart, Line, XAxis, YAxis, Tooltip, Legend, ReferenceLine, ResponsiveContainer } from 'recharts';
+
+const formatDay = (day) => (day === null ? '—' : `Day ${day}`);
+
+// Day-by-day stock line from a projection, marking the reorder trigger, the order's arrival and stockout days
+const InventoryProjectionChart = ({ projection, height = 260, compact = false }) => {
+  const chartData = projection.days.map(point => ({
+    ...point,
+    // Plotted at zero so stockout days show as red dots along the axis
+    stockoutMarker: point.stockout ? 0 : null
+  }));
+
+  return (
+    <div className="space-y-3">
+      <div style={{ height }}>
+        <ResponsiveContainer width="100%" height="100%">
+          <ComposedChart data={chartData} margin={{ top: 5, right: 5, bottom: 0, left: compact ? -20 : 0 }}>
+            <XAxis dataKey="day" tick={{ fontSize: compact ? 10 : 11 }} interval="preserveStartEnd" />
+            <YAxis yAxisId="stock" tick={{ fontSize: compact ? 10 : 11 }} />
+            <YAxis yAxisId="demand" orientation="right" hide={compact} tick={{ fontSize: 11 }} />
+            <Tooltip
+              labelFormatter={(day, payload) => `Day ${day}${payload?.[0] ? ` · ${payload[0].payload.date}` : ''}`}
+              formatter={(value, name, entry) => (
+                name === 'Stockout' ? [`${entry.payload.lostUnits} units short`, name] : [value, name]
+              )}
+            />
+            {!compact && <Legend />}
+            <ReferenceLine
+              yAxisId="stock"
+              y={projection.reorderPoint}
+              stroke="#f59e0b"
+              strokeDasharray="4 4"
+              label={compact ? undefined : { value: 'Reorder point', fontSize: 11, fill: '#b45309', position: 'insideTopRight' }}
+            />
+            {projection.reorderTriggerDay !== null && (
+              <ReferenceLine
+                yAxisId="stock"
+                x={projection.reorderTriggerDay}
+                stroke="#2563eb"
+                strokeDasharray="4 4"
+                label={compact ? undefined : { value: 'Order placed', fontSize: 11, fill: '#1d4ed8', position: 'insideTopLeft' }}
+              />
+            )}
+            {projection.orderArrivalDay !== null && projection.orderArrivalDay <= projection.horizonDays && (
+              <ReferenceLine
+                yAxisId="stock"
+                x={projection.orderArrivalDay}
+                stroke="#16a34a"
+                strokeDasharray="4 4"
+                label={compact ? undefined : { value: 'Order arrives', fontSize: 11, fill: '#15803d', position: 'insideTopLeft' }}
+              />
+            )}
+            <Line yAxisId="stock" dataKey="stock" name="Stock" stroke="#6366f1" dot={false} strokeWidth={2} isAnimationActive={false} />
+            <Line yAxisId="demand" dataKey="demand" name="Demand" stroke="#f97316" dot={false} strokeWidth={1} isAnimationActive={false} />
+            <Line
+              yAxisId="stock"
+              dataKey="stockoutMarker"
+              name="Stockout"
+              stroke="none"
+              dot={{ r: 3, fill: '#dc2626', stroke: '#dc2626' }}
+              legendType="circle"
+              isAnimationActive={false}
+            />
+          </ComposedChart>
+        </ResponsiveContainer>
+      </div>
+
+      <div className={`grid ${compact ? 'grid-cols-2' : 'grid-cols-2 md:grid-cols-4'} gap-2 text-xs text-gray-600`}>
+        <div>
+          Reorder: <span className="font-medium">{formatDay(projection.reorderTriggerDay)}</span>
+          {projection.orderQuantity > 0 && <span> · {projection.orderQuantity} units</span>}
+        </div>
+        <div>Arrives: <span className="font-medium">{formatDay(projection.orderArrivalDay)}</span></div>
+        <div>
+          Stockout days:{' '}
+          <span className={`font-medium ${projection.stockoutDays.length > 0 ? 'text-red-600' : 'text-green-600'}`}>
+            {projection.stockoutDays.length > 0
+              ? `${projection.stockoutDays.length} (from day ${projection.firstStockoutDay})`
+              : 'None'}
+          </span>
+        </div>
+        <div>
+          Lost units: <span className={`font-medium ${projection.lostUnits > 0 ? 'text-red-600' : ''}`}>{projection.lostUnits}</span>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default InventoryProjectionChart;
@@ -0,0 +1,318 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+
+const API_BASE_URL = 'http://localhost:5000/api';
+
+const statusStyles = {
+  running: 'bg-blue-100 text-blue-800',
+  succeeded: 'bg-green-100 text-green-800',
+  failed: 'bg-red-100 text-red-800'
+};
+
+const formatDuration = (ms) => (ms < 1000 ? `${ms} ms` : `${(ms / 1000).toFixed(1)} s`);
+
+const formatSize = (bytes) => (bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(1)} KB`);
+
+// One-line summary of what a run returned
+const summarizeResult = (job, result) => {
+  if (!result) return '';
+  switch (job) {
+    case 'reorder-analysis':
+      return result.scopes
+        .map(scope => `${scope.warehouse ? scope.warehouse.name : 'Network'}: ${scope.needsReorder}/${scope.products} need reorder`)
+        .join(' · ');
+    case 'sales-averages':
+      return `${result.updated} of ${result.productsWithSales} products updated`;
+    case 'reorder-report':
+      return `${result.files.join(', ')}${result.deletedReports > 0 ? ` · ${result.deletedReports} expired removed` : ''}`;
+    case 'alerts':
+      return `${result.rules} rules · ${result.triggered} triggered · ${result.resolved} resolved${result.retriedDeliveries > 0 ? ` · ${result.retriedDeliveries} retried` : ''}`;
+    default:
+      return JSON.stringify(result);
+  }
+};
+
+const StatusBadge = ({ status }) => (
+  <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${statusStyles[status]}`}>{status}</span>
+);
+
+// Scheduled background jobs: schedules, pause/resume, manual runs, run history and generated reports
+const Jobs = ({ showNotification }) => {
+  const [jobs, setJobs] = useState([]);
+  const [reports, setReports] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [expandedJob, setExpandedJob] = useState(null);
+  const [runs, setRuns] = useState([]);
+  const [scheduleDrafts, setScheduleDrafts] = useState({});
+
+  const fetchJobs = useCallback(async () => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/jobs`);
+      setJobs(response.data);
+    } catch (error) {
+      showNotification('Failed to fetch jobs', 'error');
+      console.error('Error fetching jobs:', error);
+    }
+  }, [showNotification]);
+
+  const fetchReports = useCallback(async () => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/reports`);
+      setReports(response.data);
+    } catch (error) {
+      console.error('Error fetching reports:', error);
+    }
+  }, []);
+
+  const fetchRuns = useCallback(async (name) => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/jobs/${name}/runs`);
+      setRuns(response.data);
+    } catch (error) {
+      showNotification('Failed to fetch job history', 'error');
+      console.error('Error fetching job runs:', error);
+    }
+  }, [showNotification]);
+
+  useEffect(() => {
+    const load = async () => {
+      setLoading(true);
+      await Promise.all([fetchJobs(), fetchReports()]);
+      setLoading(false);
+    };
+    load();
+  }, [fetchJobs, fetchReports]);
+
+  // Refresh while a job is running so its outcome (and any report it writes) shows up
+  const anyRunning = jobs.some(job => job.running);
+  useEffect(() => {
+    if (!anyRunning) return undefined;
+    const timer = setInterval(async () => {
+      await fetchJobs();
+      fetchReports();
+      if (expandedJob) fetchRuns(expandedJob);
+    }, 3000);
+    return () => clearInterval(timer);
+  }, [anyRunning, expandedJob, fetchJobs, fetchReports, fetchRuns]);
+
+  const toggleHistory = (name) => {
+    if (expandedJob === name) {
+      setExpandedJob(null);
+      return;
+    }
+    setExpandedJob(name);
+    setRuns([]);
+    fetchRuns(name);
+  };
+
+  const replaceJob = (updated) => setJobs(prev => prev.map(job => (job.name === updated.name ? updated : job)));
+
+  const runJob = async (job) => {
+    try {
+      await axios.post(`${API_BASE_URL}/jobs/${job.name}/run`);
+      showNotification(`${job.name} started`, 'success');
+      fetchJobs();
+      if (expandedJob === job.name) fetchRuns(job.name);
+    } catch (error) {
+      showNotification(error.response?.data?.message || 'Failed to start job', 'error');
+      console.error('Error starting job:', error);
+    }
+  };
+
+  const togglePaused = async (job) => {
+    try {
+      const response = await axios.post(`${API_BASE_URL}/jobs/${job.name}/${job.paused ? 'resume' : 'pause'}`);
+      replaceJob(response.data);
+      showNotification(`${job.name} ${job.paused ? 'resumed' : 'paused'}`, 'success');
+    } catch (error) {
+      showNotification(error.response?.data?.message || 'Failed to update job', 'error');
+      console.error('Error updating job:', error);
+    }
+  };
+
+  // An empty schedule restores the job's default
+  const saveSchedule = async (job) => {
+    try {
+      const response = await axios.put(`${API_BASE_URL}/jobs/${job.name}`, { schedule: scheduleDrafts[job.name] });
+      replaceJob(response.data);
+      setScheduleDrafts(prev => {
+        const next = { ...prev };
+        delete next[job.name];
+        return next;
+      });
+      showNotification(`${job.name} now runs on ${response.data.schedule}`, 'success');
+    } catch (error) {
+      showNotification(error.response?.data?.message || 'Failed to update schedule', 'error');
+      console.error('Error updating schedule:', error);
+    }
+  };
+
+  const downloadReport = async (report) => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/reports/${report.fileName}`, { responseType: 'blob' });
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = report.fileName;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      showNotification('Failed to download report', 'error');
+      console.error('Error downloading report:', error);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div>
+        <h2 className="text-2xl font-bold text-gray-900">⏱️ Jobs</h2>
+        <p className="text-gray-600 mt-1">
+          Background jobs run on cron schedules in the server's time zone (minute hour day-of-month month day-of-week)
+        </p>
+      </div>
+
+      {/* Job List */}
+      <div className="bg-white rounded-xl shadow-lg overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              {['Job', 'Schedule', 'Next Run', 'Last Run', ''].map(heading => (
+                <th key={heading} className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  {heading}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {jobs.map(job => (
+              <React.Fragment key={job.name}>
+                <tr className={job.paused ? 'opacity-60' : ''}>
+                  <td className="px-4 py-3">
+                    <div className="text-sm font-medium text-gray-900">{job.name}</div>
+                    <div className="text-xs text-gray-500">{job.description}</div>
+                  </td>
+                  <td className="px-4 py-3 whitespace-nowrap">
+                    <div className="flex items-center space-x-2">
+                      <input
+                        type="text"
+                        value={scheduleDrafts[job.name] ?? job.schedule}
+                        onChange={(e) => setScheduleDrafts(prev => ({ ...prev, [job.name]: e.target.value }))}
+                        placeholder={job.defaultSchedule}
+                        className="w-32 font-mono border border-gray-300 rounded-lg px-2 py-1 text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                      />
+                      {scheduleDrafts[job.name] !== undefined && scheduleDrafts[job.name] !== job.schedule && (
+                        <button onClick={() => saveSchedule(job)} className="text-sm text-blue-600 hover:text-blue-800">
+                          Save
+                        </button>
+                      )}
+                    </div>
+                    {job.schedule !== job.defaultSchedule && (
+                      <div className="text-xs text-gray-400 mt-1">Default: {job.defaultSchedule}</div>
+                    )}
+                  </td>
+                  <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-600">
+                    {job.paused ? '⏸️ Paused' : job.nextRunAt ? new Date(job.nextRunAt).toLocaleString() : 'Never'}
+                  </td>
+                  <td className="px-4 py-3 text-sm text-gray-600">
+                    {job.running ? (
+                      <StatusBadge status="running" />
+                    ) : job.lastRun ? (
+                      <div>
+                        <StatusBadge status={job.lastRun.status} />{' '}
+                        <span className="text-xs text-gray-500">
+                          {new Date(job.lastRun.startedAt).toLocaleString()}
+                          {job.lastRun.durationMs !== undefined && ` · ${formatDuration(job.lastRun.durationMs)}`}
+                        </span>
+                      </div>
+                    ) : (
+                      <span className="text-xs text-gray-500">Never run</span>
+                    )}
+                  </td>
+                  <td className="px-4 py-3 whitespace-nowrap text-right space-x-3 text-sm">
+                    <button
+                      onClick={() => runJob(job)}
+                      disabled={job.running}
+                      className="text-blue-600 hover:text-blue-800 disabled:text-gray-400"
+                    >
+                      ▶️ Run Now
+                    </button>
+                    <button onClick={() => togglePaused(job)} className="text-gray-600 hover:text-gray-800">
+                      {job.paused ? 'Resume' : 'Pause'}
+                    </button>
+                    <button onClick={() => toggleHistory(job.name)} className="text-gray-600 hover:text-gray-800">
+                      {expandedJob === job.name ? 'Hide History' : 'History'}
+                    </button>
+                  </td>
+                </tr>
+                {expandedJob === job.name && (
+                  <tr>
+                    <td colSpan={5} className="px-4 py-3 bg-gray-50">
+                      {runs.length === 0 ? (
+                        <p className="text-sm text-gray-500 italic">No runs recorded yet.</p>
+                      ) : (
+                        <ul className="divide-y divide-gray-200 text-sm">
+                          {runs.map(run => (
+                            <li key={run._id} className="py-2 flex justify-between items-start gap-4">
+                              <div>
+                                <StatusBadge status={run.status} />{' '}
+                                <span className="text-gray-700">{new Date(run.startedAt).toLocaleString()}</span>
+                                <span className="text-xs text-gray-500">
+                                  {' '}· {run.trigger === 'manual' ? `run by ${run.triggeredBy?.username || 'hand'}` : 'scheduled'}
+                                </span>
+                                <div className={`text-xs mt-1 ${run.error ? 'text-red-600' : 'text-gray-500'}`}>
+                                  {run.error || summarizeResult(run.job, run.result)}
+                                </div>
+                              </div>
+                              <span className="text-xs text-gray-500 whitespace-nowrap">
+                                {run.durationMs !== undefined ? formatDuration(run.durationMs) : '…'}
+                              </span>
+                            </li>
+                          ))}
+                        </ul>
+                      )}
+                    </td>
+                  </tr>
+                )}
+              </React.Fragment>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {/* Generated Reports */}
+      <div className="bg-white rounded-xl shadow-lg p-6 space-y-3">
+        <h3 className="text-lg font-semibold text-gray-800">📁 Generated Reports</h3>
+        {reports.length === 0 ? (
+          <p className="text-sm text-gray-500 italic">No reports yet — the reorder-report job writes them each morning.</p>
+        ) : (
+          <ul className="divide-y divide-gray-100 text-sm">
+            {reports.map(report => (
+              <li key={report.fileName} className="py-2 flex justify-between items-center">
+                <div>
+                  <div className="font-medium text-gray-900">{report.fileName}</div>
+                  <div className="text-xs text-gray-500">
+                    {new Date(report.createdAt).toLocaleString()} · {formatSize(report.size)}
+                  </div>
+                </div>
+                <button onClick={() => downloadReport(report)} className="text-blue-600 hover:text-blue-800">
+                  📥 Download
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Jobs;
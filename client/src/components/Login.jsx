@@ -0,0 +1,72 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+
+const API_BASE_URL = 'http://localhost:5000/api';
+
+const Login = ({ onLogin }) => {
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [loginError, setLoginError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  // Exchange the credentials for a session token
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      setSubmitting(true);
+      setLoginError(null);
+      const response = await axios.post(`${API_BASE_URL}/auth/login`, { username, password });
+      onLogin(response.data);
+    } catch (error) {
+      setLoginError(error.response?.data?.message || 'Unable to sign in');
+      console.error('Error signing in:', error);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex items-center justify-center px-4">
+      <div className="bg-white rounded-xl shadow-lg p-8 w-full max-w-sm">
+        <h1 className="text-2xl font-bold text-gray-900 text-center">🏭 Smart Warehouse System</h1>
+        <p className="text-gray-600 text-center mt-1 mb-6">Sign in to continue</p>
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Username</label>
+            <input
+              type="text"
+              value={username}
+              onChange={(e) => setUsername(e.target.value)}
+              autoComplete="username"
+              autoFocus
+              className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Password</label>
+            <input
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              autoComplete="current-password"
+              className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+          </div>
+
+          {loginError && <p className="text-red-500 text-sm">{loginError}</p>}
+
+          <button
+            type="submit"
+            disabled={submitting || !username || !password}
+            className="w-full bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400 text-white px-4 py-2 rounded-lg font-medium transition-colors duration-200"
+          >
+            {submitting ? 'Signing in...' : '🔑 Sign In'}
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default Login;
@@ -0,0 +1,108 @@
+import React from 'react';
+import { BarChart, Bar, XAxis, YAxis, Tooltip, ResponsiveContainer, Cell } from 'recharts';
+
+const formatPercent = (value) => `${(value * 100).toFixed(1)}%`;
+
+const MonteCarloResults = ({ result }) => {
+  const histogram = result.endingStock.histogram.map(bin => ({
+    ...bin,
+    label: bin.from === bin.to ? `${bin.from}` : `${Math.round(bin.from)}–${Math.round(bin.to)}`,
+    share: bin.count / result.trials
+  }));
+  const riskColor = result.stockoutProbability > 0.2
+    ? 'text-red-600'
+    : result.stockoutProbability > 0.05 ? 'text-yellow-600' : 'text-green-600';
+
+  return (
+    <div className="space-y-6">
+      {/* Risk Overview */}
+      <div className="bg-gradient-to-r from-purple-50 to-blue-50 rounded-xl shadow-lg p-6 border border-purple-200">
+        <h3 className="text-lg font-semibold text-purple-800 mb-1">🎲 Monte Carlo Results</h3>
+        <p className="text-sm text-gray-600 mb-4">
+          {result.trials.toLocaleString()} trials of the {result.averageLeadTime} days (on average) until a new order
+          would arrive · seed {result.seed}
+        </p>
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+          <div className="text-center">
+            <div className={`text-2xl font-bold ${riskColor}`}>{formatPercent(result.stockoutProbability)}</div>
+            <div className="text-sm text-gray-600">Stockout Probability</div>
+          </div>
+          <div className="text-center">
+            <div className="text-2xl font-bold text-red-600">{result.expectedLostUnits}</div>
+            <div className="text-sm text-gray-600">Expected Lost Units</div>
+          </div>
+          <div className="text-center">
+            <div className="text-2xl font-bold text-blue-600">{result.endingStock.percentiles.p50}</div>
+            <div className="text-sm text-gray-600">Median Ending Stock</div>
+          </div>
+          <div className="text-center">
+            <div className="text-2xl font-bold text-purple-600">{result.leadTimeDemand.mean}</div>
+            <div className="text-sm text-gray-600">Mean Lead-Time Demand</div>
+          </div>
+        </div>
+      </div>
+
+      {/* Ending Stock Histogram */}
+      <div className="bg-white rounded-xl shadow-lg p-6">
+        <h3 className="text-lg font-semibold text-gray-800 mb-4">📊 Ending Stock Distribution</h3>
+        <ResponsiveContainer width="100%" height={260}>
+          <BarChart data={histogram}>
+            <XAxis dataKey="label" tick={{ fontSize: 11 }} />
+            <YAxis tickFormatter={formatPercent} tick={{ fontSize: 11 }} />
+            <Tooltip
+              formatter={(value, name, entry) => [`${entry.payload.count} trials (${formatPercent(value)})`, 'Ending stock']}
+              labelFormatter={(label) => `${label} units`}
+            />
+            <Bar dataKey="share">
+              {/* The lowest bin holds the trials that ran out */}
+              {histogram.map(bin => (
+                <Cell key={bin.label} fill={bin.from === 0 ? '#dc2626' : '#6366f1'} />
+              ))}
+            </Bar>
+          </BarChart>
+        </ResponsiveContainer>
+        <div className="grid grid-cols-4 md:grid-cols-7 gap-2 mt-4 text-center text-sm">
+          {Object.entries(result.endingStock.percentiles).map(([percentile, value]) => (
+            <div key={percentile} className="bg-gray-50 rounded-lg py-2">
+              <div className="font-bold text-gray-800">{value}</div>
+              <div className="text-xs text-gray-500">{percentile.toUpperCase()}</div>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {/* Service Level */}
+      <div className={`rounded-xl shadow-lg p-6 border ${
+        result.serviceLevel.additionalUnitsNeeded > 0
+          ? 'bg-gradient-to-r from-red-50 to-orange-50 border-red-200'
+          : 'bg-gradient-to-r from-green-50 to-blue-50 border-green-200'
+      }`}>
+        <h3 className="text-lg font-semibold text-gray-800 mb-3">
+          🎯 {formatPercent(result.serviceLevel.target)} Service Level
+        </h3>
+        <p className="text-sm text-gray-700">
+          Covering demand until the next delivery in {formatPercent(result.serviceLevel.target)} of trials takes{' '}
+          <strong>{result.serviceLevel.stockNeeded} units</strong> on hand (currently {result.inputs.currentStock}).
+        </p>
+        {result.serviceLevel.additionalUnitsNeeded > 0 ? (
+          <p className="text-sm text-red-700 mt-2">
+            🚨 Short by <strong>{result.serviceLevel.additionalUnitsNeeded} units</strong> — order{' '}
+            <strong>{result.serviceLevel.recommendedOrderQuantity} units</strong>
+            {result.inputs.preferredSupplier && ` from ${result.inputs.preferredSupplier.name}`} at an estimated{' '}
+            <strong>₹{result.serviceLevel.estimatedCost.toFixed(2)}</strong>.
+          </p>
+        ) : (
+          <p className="text-sm text-green-700 mt-2">✅ Current stock already meets the target.</p>
+        )}
+        <p className="text-xs text-gray-500 mt-3">
+          Demand {result.inputs.averageDailySales} ± {result.inputs.demandStdDev} units/day
+          ({result.inputs.demandSource === 'sales-history' ? 'from sales history' : 'estimated'}) · lead time{' '}
+          {result.inputs.leadTime} ± {result.inputs.leadTimeStdDev} days · {result.spikeDetails.spikeMultiplier}x demand
+          for the first {result.spikeDetails.spikeDuration} days
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default MonteCarloResults;
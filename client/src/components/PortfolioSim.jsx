@@ -0,0 +1,293 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+import { BarChart, Bar, XAxis, YAxis, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+
+const API_BASE_URL = 'http://localhost:5000/api';
+
+const selectionModes = [
+  { id: 'category', label: '🏷️ By Category' },
+  { id: 'criticality', label: '⚠️ By Criticality' },
+  { id: 'products', label: '📦 Pick Products' }
+];
+
+const criticalityLevels = ['high', 'medium', 'low'];
+
+const formatRupees = (value) => `₹${value.toLocaleString('en-IN', { maximumFractionDigits: 0 })}`;
+
+const PortfolioSim = ({ products, showNotification }) => {
+  const [selectionMode, setSelectionMode] = useState('category');
+  const [selected, setSelected] = useState([]);
+  const [spikeMultiplier, setSpikeMultiplier] = useState(2);
+  const [spikeDuration, setSpikeDuration] = useState(7);
+  const [categoryMultipliers, setCategoryMultipliers] = useState({});
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const categories = [...new Set(products.map(product => product.category).filter(Boolean))].sort();
+  const options = selectionMode === 'category'
+    ? categories.map(category => ({ value: category, label: category }))
+    : selectionMode === 'criticality'
+      ? criticalityLevels.map(level => ({ value: level, label: level.toUpperCase() }))
+      : products.map(product => ({ value: product.productId, label: `${product.name} (${product.productId})` }));
+
+  const changeSelectionMode = (mode) => {
+    setSelectionMode(mode);
+    setSelected([]);
+    setCategoryMultipliers({});
+  };
+
+  const toggleOption = (value) => {
+    setSelected(prev => (prev.includes(value) ? prev.filter(entry => entry !== value) : [...prev, value]));
+  };
+
+  // Run the promotion across the selection, alongside a baseline at normal demand
+  const runSimulation = async () => {
+    const selectionKey = { category: 'category', criticality: 'criticality', products: 'productIds' }[selectionMode];
+    const overrides = Object.fromEntries(
+      Object.entries(categoryMultipliers)
+        .filter(([category, value]) => selected.includes(category) && value !== '')
+        .map(([category, value]) => [category, parseFloat(value)])
+    );
+
+    try {
+      setLoading(true);
+      const response = await axios.post(`${API_BASE_URL}/simulate-portfolio`, {
+        [selectionKey]: selected,
+        spikeMultiplier: parseFloat(spikeMultiplier),
+        spikeDuration: parseInt(spikeDuration),
+        categoryMultipliers: overrides
+      });
+      setResult(response.data);
+      showNotification(`Simulated ${response.data.productCount} products`, 'success');
+    } catch (error) {
+      showNotification(error.response?.data?.message || 'Failed to run portfolio simulation', 'error');
+      console.error('Error running portfolio simulation:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const comparisonRows = result ? [
+    { label: 'Products Stocking Out', key: 'stockouts', format: value => value },
+    { label: 'Units Short', key: 'unitsShort', format: value => value },
+    { label: 'Reorders Needed', key: 'reordersNeeded', format: value => value },
+    { label: 'Total Reorder Cost', key: 'totalReorderCost', format: formatRupees }
+  ] : [];
+
+  const categoryChart = result ? result.promotion.byCategory.map(entry => ({
+    category: entry.category,
+    baseline: result.baseline.byCategory.find(base => base.category === entry.category)?.reorderCost || 0,
+    promotion: entry.reorderCost
+  })) : [];
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div>
+        <h2 className="text-2xl font-bold text-gray-900">🛍️ Portfolio Promotion Simulation</h2>
+        <p className="text-gray-600 mt-1">
+          Apply a promotion to whole categories or groups of products and compare it with business as usual
+        </p>
+      </div>
+
+      {/* Setup */}
+      <div className="bg-white rounded-xl shadow-lg p-6 space-y-4">
+        <div className="flex bg-gray-100 rounded-lg p-1 text-sm w-fit">
+          {selectionModes.map(mode => (
+            <button
+              key={mode.id}
+              onClick={() => changeSelectionMode(mode.id)}
+              className={`px-3 py-1 rounded-md font-medium transition-colors duration-200 ${
+                selectionMode === mode.id ? 'bg-white text-blue-600 shadow' : 'text-gray-600 hover:text-blue-600'
+              }`}
+            >
+              {mode.label}
+            </button>
+          ))}
+        </div>
+
+        <div className="flex flex-wrap gap-2 max-h-48 overflow-y-auto">
+          {options.map(option => (
+            <label
+              key={option.value}
+              className={`flex items-center space-x-2 px-3 py-1.5 rounded-lg border text-sm cursor-pointer ${
+                selected.includes(option.value) ? 'bg-blue-50 border-blue-400 text-blue-800' : 'border-gray-200 text-gray-700'
+              }`}
+            >
+              <input
+                type="checkbox"
+                checked={selected.includes(option.value)}
+                onChange={() => toggleOption(option.value)}
+              />
+              <span>{option.label}</span>
+            </label>
+          ))}
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Demand Multiplier</label>
+            <input
+              type="number"
+              min="0.1"
+              max="10"
+              step="0.1"
+              value={spikeMultiplier}
+              onChange={(e) => setSpikeMultiplier(e.target.value)}
+              className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Duration (days)</label>
+            <input
+              type="number"
+              min="1"
+              max="30"
+              value={spikeDuration}
+              onChange={(e) => setSpikeDuration(e.target.value)}
+              className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+          </div>
+          {selectionMode === 'category' && selected.map(category => (
+            <div key={category}>
+              <label className="block text-sm font-medium text-gray-700 mb-2">{category} Multiplier</label>
+              <input
+                type="number"
+                min="0.1"
+                max="10"
+                step="0.1"
+                value={categoryMultipliers[category] ?? ''}
+                onChange={(e) => setCategoryMultipliers(prev => ({ ...prev, [category]: e.target.value }))}
+                placeholder={`${spikeMultiplier} (default)`}
+                className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+            </div>
+          ))}
+        </div>
+
+        <div className="flex space-x-4">
+          <button
+            onClick={runSimulation}
+            disabled={loading || selected.length === 0}
+            className="bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400 text-white px-6 py-2 rounded-lg font-medium transition-colors duration-200"
+          >
+            {loading ? '⏳ Running...' : '🚀 Run Portfolio Simulation'}
+          </button>
+          {result && (
+            <button
+              onClick={() => setResult(null)}
+              className="bg-gray-500 hover:bg-gray-600 text-white px-6 py-2 rounded-lg font-medium transition-colors duration-200"
+            >
+              🗑️ Clear Results
+            </button>
+          )}
+        </div>
+      </div>
+
+      {result && (
+        <div className="space-y-6">
+          {/* Baseline vs Promotion */}
+          <div className="bg-white rounded-xl shadow-lg p-6">
+            <h3 className="text-lg font-semibold text-gray-800 mb-4">
+              📊 Baseline vs Promotion · {result.productCount} products over {result.spikeDuration} days
+            </h3>
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+              {comparisonRows.map(row => {
+                const difference = result.promotion[row.key] - result.baseline[row.key];
+                return (
+                  <div key={row.key} className="rounded-lg p-4 border">
+                    <h4 className="text-sm font-medium text-gray-600 mb-2">{row.label}</h4>
+                    <div className="text-lg font-bold text-gray-800">{row.format(result.promotion[row.key])}</div>
+                    <div className="text-sm text-gray-500">Baseline: {row.format(result.baseline[row.key])}</div>
+                    {difference !== 0 && (
+                      <div className={`text-sm font-medium ${difference > 0 ? 'text-red-600' : 'text-green-600'}`}>
+                        {difference > 0 ? '+' : '−'}{row.format(Math.abs(Math.round(difference * 100) / 100))}
+                      </div>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+            <div className="mt-4 p-4 bg-orange-50 rounded-lg border border-orange-200 text-sm text-orange-800">
+              💰 The promotion needs <strong>{formatRupees(result.comparison.additionalCashRequired)}</strong> more in
+              replenishment orders than business as usual
+              {result.comparison.additionalStockouts > 0 &&
+                ` and runs ${result.comparison.additionalStockouts} more product(s) out of stock`}.
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            {/* Reorder Cost by Category */}
+            <div className="bg-white rounded-xl shadow-lg p-6">
+              <h3 className="text-lg font-semibold text-gray-800 mb-4">🏷️ Reorder Cost by Category</h3>
+              <ResponsiveContainer width="100%" height={260}>
+                <BarChart data={categoryChart}>
+                  <XAxis dataKey="category" tick={{ fontSize: 11 }} />
+                  <YAxis tickFormatter={formatRupees} tick={{ fontSize: 11 }} width={80} />
+                  <Tooltip formatter={(value) => formatRupees(value)} />
+                  <Legend />
+                  <Bar dataKey="baseline" name="Baseline" fill="#94a3b8" />
+                  <Bar dataKey="promotion" name="Promotion" fill="#f97316" />
+                </BarChart>
+              </ResponsiveContainer>
+            </div>
+
+            {/* Cash by Supplier */}
+            <div className="bg-white rounded-xl shadow-lg p-6">
+              <h3 className="text-lg font-semibold text-gray-800 mb-4">🏭 Cash Required by Supplier</h3>
+              {result.promotion.cashBySupplier.length === 0 ? (
+                <p className="text-sm text-gray-500 italic">No reorders needed</p>
+              ) : (
+                <ul className="divide-y divide-gray-100">
+                  {result.promotion.cashBySupplier.map(entry => (
+                    <li key={entry.supplier ? entry.supplier.supplierId : 'unassigned'} className="py-2 flex justify-between text-sm">
+                      <span className="text-gray-700">{entry.supplier ? entry.supplier.name : 'No supplier linked'}</span>
+                      <span className="font-medium text-gray-900">{formatRupees(entry.reorderCost)}</span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          </div>
+
+          {/* Products */}
+          <div className="bg-white rounded-xl shadow-lg overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  {['Product', 'Category', 'Multiplier', 'Stockout', 'Units Short', 'Reorder Cost'].map(heading => (
+                    <th key={heading} className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      {heading}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {result.products.map(row => (
+                  <tr key={row.productId} className={row.promotion.stockout && !row.baseline.stockout ? 'bg-red-50' : ''}>
+                    <td className="px-4 py-2 text-sm">
+                      <div className="font-medium text-gray-900">{row.name}</div>
+                      <div className="text-xs text-gray-500">{row.productId}</div>
+                    </td>
+                    <td className="px-4 py-2 text-sm text-gray-700">{row.category}</td>
+                    <td className="px-4 py-2 text-sm text-gray-700">{row.spikeMultiplier}x</td>
+                    <td className="px-4 py-2 text-sm">
+                      {row.promotion.stockout ? '🚨 Yes' : '✅ No'}
+                      {row.baseline.stockout && <span className="text-xs text-gray-500"> (also at baseline)</span>}
+                    </td>
+                    <td className="px-4 py-2 text-sm text-gray-700">{row.promotion.unitsShort}</td>
+                    <td className="px-4 py-2 text-sm text-gray-700">
+                      {formatRupees(row.baseline.reorderCost)} → <strong>{formatRupees(row.promotion.reorderCost)}</strong>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PortfolioSim;
@@ -0,0 +1,65 @@
+import React from 'react';
+
+// Editable table of quantity price breaks. Values are numbers, or '' while a cell is empty;
+// callers drop incomplete rows before saving.
+const PriceBreaksEditor = ({ priceBreaks = [], onChange, listPrice }) => {
+  const updateBreak = (index, field, value) => {
+    onChange(priceBreaks.map((priceBreak, position) => (
+      position === index ? { ...priceBreak, [field]: value === '' ? '' : Number(value) } : priceBreak
+    )));
+  };
+
+  const addBreak = () => onChange([...priceBreaks, { minQuantity: '', costPerUnit: '' }]);
+  const removeBreak = (index) => onChange(priceBreaks.filter((_, position) => position !== index));
+
+  return (
+    <div className="space-y-2">
+      <label className="block text-sm font-medium text-gray-700">Quantity Price Breaks</label>
+      {priceBreaks.length === 0 && (
+        <p className="text-xs text-gray-500">
+          No breaks — every order is priced at {listPrice ? `₹${listPrice}` : 'the unit cost'}.
+        </p>
+      )}
+      {priceBreaks.map((priceBreak, index) => (
+        <div key={index} className="flex items-center space-x-2 text-sm">
+          <span className="text-gray-600">From</span>
+          <input
+            type="number"
+            min="1"
+            value={priceBreak.minQuantity}
+            onChange={(e) => updateBreak(index, 'minQuantity', e.target.value)}
+            placeholder="Qty"
+            className="w-20 border border-gray-300 rounded-lg px-2 py-1 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
+          <span className="text-gray-600">units at ₹</span>
+          <input
+            type="number"
+            min="0"
+            step="0.01"
+            value={priceBreak.costPerUnit}
+            onChange={(e) => updateBreak(index, 'costPerUnit', e.target.value)}
+            placeholder="Price"
+            className="w-24 border border-gray-300 rounded-lg px-2 py-1 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
+          <button
+            type="button"
+            onClick={() => removeBreak(index)}
+            className="text-gray-400 hover:text-red-600"
+            title="Remove price break"
+          >
+            ✖
+          </button>
+        </div>
+      ))}
+      <button
+        type="button"
+        onClick={addBreak}
+        className="text-sm text-blue-600 hover:text-blue-800 font-medium"
+      >
+        ➕ Add price break
+      </button>
+    </div>
+  );
+};
+
+export default PriceBreaksEditor;
@@ -0,0 +1,85 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+
+const API_BASE_URL = 'http://localhost:5000/api';
+
+const actionStyles = {
+  create: { label: 'CREATED', className: 'bg-green-100 text-green-800' },
+  update: { label: 'UPDATED', className: 'bg-blue-100 text-blue-800' },
+  delete: { label: 'DELETED', className: 'bg-red-100 text-red-800' }
+};
+
+// Arrays and objects (supplier links, stock levels) are summarised rather than printed in full
+const formatValue = (value) => {
+  if (value === undefined || value === null) return '—';
+  if (Array.isArray(value)) return `${value.length} item${value.length === 1 ? '' : 's'}`;
+  if (typeof value === 'object') return '…';
+  return String(value);
+};
+
+const ProductHistory = ({ product }) => {
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  // Fetch the product's audit trail
+  const fetchHistory = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get(`${API_BASE_URL}/audit`, {
+        params: { productId: product.productId }
+      });
+      setEntries(response.data);
+    } catch (error) {
+      console.error('Error fetching product history:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [product.productId]);
+
+  useEffect(() => {
+    fetchHistory();
+  }, [fetchHistory, product.lastUpdated]);
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-4">
+        <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  if (entries.length === 0) {
+    return <p className="text-sm text-gray-500 italic text-center py-4">No changes recorded yet</p>;
+  }
+
+  return (
+    <div className="max-h-64 overflow-y-auto divide-y divide-gray-100">
+      {entries.map(entry => (
+        <div key={entry._id} className="py-2 text-sm">
+          <div className="flex justify-between items-start">
+            <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${actionStyles[entry.action].className}`}>
+              {actionStyles[entry.action].label}
+            </span>
+            <span className="text-xs text-gray-500">{new Date(entry.createdAt).toLocaleString()}</span>
+          </div>
+          <div className="text-xs text-gray-600 mt-1">
+            👤 {entry.actor?.name || 'System'} · {entry.route}
+          </div>
+          {entry.action === 'update' && (
+            <ul className="mt-1 space-y-0.5">
+              {entry.changes.map(change => (
+                <li key={change.field} className="text-xs">
+                  <span className="font-medium text-gray-700">{change.field}</span>:{' '}
+                  <span className="text-red-600 line-through">{formatValue(change.before)}</span>{' '}
+                  → <span className="text-green-600">{formatValue(change.after)}</span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default ProductHistory;
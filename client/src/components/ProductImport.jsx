@@ -0,0 +1,314 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+
+const API_BASE_URL = 'http://localhost:5000/api';
+
+const importFields = [
+  { field: 'productId', label: 'Product ID', required: true },
+  { field: 'name', label: 'Product Name', required: true },
+  { field: 'category', label: 'Category' },
+  { field: 'currentStock', label: 'Current Stock', required: true },
+  { field: 'averageDailySales', label: 'Average Daily Sales', required: true },
+  { field: 'supplierLeadTime', label: 'Supplier Lead Time', required: true },
+  { field: 'supplierLeadTimeStdDev', label: 'Lead Time Std Dev' },
+  { field: 'minimumReorderQuantity', label: 'Minimum Reorder Quantity', required: true },
+  { field: 'costPerUnit', label: 'Cost per Unit', required: true },
+  { field: 'criticality', label: 'Criticality', required: true },
+  { field: 'orderingCost', label: 'Ordering Cost' },
+  { field: 'holdingCostRate', label: 'Holding Cost Rate' },
+  { field: 'packSize', label: 'Pack Size' },
+  { field: 'orderMultiple', label: 'Order Multiple' },
+  { field: 'maximumOrderQuantity', label: 'Maximum Order Quantity' }
+];
+
+const steps = [
+  { id: 'upload', label: '1. Upload' },
+  { id: 'map', label: '2. Map Columns' },
+  { id: 'preview', label: '3. Preview & Import' }
+];
+
+const ProductImport = ({ warehouse, onImported, showNotification }) => {
+  const [step, setStep] = useState('upload');
+  const [fileName, setFileName] = useState('');
+  const [content, setContent] = useState('');
+  const [format, setFormat] = useState('csv');
+  const [columns, setColumns] = useState([]);
+  const [mapping, setMapping] = useState({});
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  // Send the file to the import endpoint, as a dry run unless committing
+  const runImport = async (dryRun, fileContent = content, fileFormat = format, columnMapping = mapping) => {
+    const response = await axios.post(`${API_BASE_URL}/products/import`, {
+      content: fileContent,
+      format: fileFormat,
+      mapping: columnMapping,
+      dryRun,
+      warehouse: warehouse || undefined
+    });
+    return response.data;
+  };
+
+  // Read the chosen file and let the server suggest a column mapping
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    const fileFormat = /\.(jsonl|ndjson)$/i.test(file.name) ? 'jsonl' : 'csv';
+    const text = await file.text();
+    setFileName(file.name);
+    setFormat(fileFormat);
+    setContent(text);
+    setReport(null);
+
+    try {
+      setLoading(true);
+      const result = await runImport(true, text, fileFormat, undefined);
+      setColumns(result.columns);
+      setMapping(result.mapping);
+      setStep('map');
+    } catch (error) {
+      // Without a productId column the server still returns the columns to map
+      if (error.response?.data?.columns) {
+        setColumns(error.response.data.columns);
+        setMapping(error.response.data.mapping || {});
+        setStep('map');
+      } else {
+        showNotification(error.response?.data?.message || 'Failed to read file', 'error');
+      }
+      console.error('Error reading import file:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Validate every row with the chosen mapping
+  const previewImport = async () => {
+    try {
+      setLoading(true);
+      setReport(await runImport(true));
+      setStep('preview');
+    } catch (error) {
+      showNotification(error.response?.data?.message || 'Failed to validate file', 'error');
+      console.error('Error previewing import:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Commit the import
+  const commitImport = async () => {
+    try {
+      setLoading(true);
+      const result = await runImport(false);
+      showNotification(
+        `Imported ${result.summary.create} new and ${result.summary.update} updated product(s)`,
+        'success'
+      );
+      resetWizard();
+      onImported();
+    } catch (error) {
+      if (error.response?.data?.rows) setReport(error.response.data);
+      showNotification(error.response?.data?.message || 'Failed to import products', 'error');
+      console.error('Error importing products:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const resetWizard = () => {
+    setStep('upload');
+    setFileName('');
+    setContent('');
+    setColumns([]);
+    setMapping({});
+    setReport(null);
+  };
+
+  const updateMapping = (field, column) => {
+    setMapping(prev => {
+      const next = { ...prev };
+      if (column) {
+        next[field] = column;
+      } else {
+        delete next[field];
+      }
+      return next;
+    });
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div>
+        <h2 className="text-2xl font-bold text-gray-900">📥 Import Products</h2>
+        <p className="text-gray-600 mt-1">Create or update products in bulk from a CSV or JSON lines file</p>
+      </div>
+
+      {/* Steps */}
+      <div className="flex space-x-2">
+        {steps.map(entry => (
+          <div
+            key={entry.id}
+            className={`flex-1 text-center py-2 rounded-lg text-sm font-medium ${
+              step === entry.id ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-600'
+            }`}
+          >
+            {entry.label}
+          </div>
+        ))}
+      </div>
+
+      <div className="bg-white rounded-xl shadow-lg p-6">
+        {loading && (
+          <div className="flex justify-center items-center h-32">
+            <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-blue-600"></div>
+          </div>
+        )}
+
+        {/* Upload */}
+        {!loading && step === 'upload' && (
+          <div className="text-center py-8 space-y-4">
+            <div className="text-6xl">📄</div>
+            <p className="text-gray-600">
+              Choose a .csv file with a header row, or a .jsonl file with one product per line.
+              Existing products are updated by Product ID.
+            </p>
+            <input
+              type="file"
+              accept=".csv,.jsonl,.ndjson,text/csv"
+              onChange={handleFile}
+              className="block mx-auto text-sm text-gray-600"
+            />
+          </div>
+        )}
+
+        {/* Column Mapping */}
+        {!loading && step === 'map' && (
+          <div className="space-y-4">
+            <p className="text-sm text-gray-600">
+              📄 {fileName} · {format.toUpperCase()} · {columns.length} column(s)
+            </p>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              {importFields.map(({ field, label, required }) => (
+                <div key={field}>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    {label} {required && <span className="text-red-500">*</span>}
+                  </label>
+                  <select
+                    value={mapping[field] || ''}
+                    onChange={(e) => updateMapping(field, e.target.value)}
+                    className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  >
+                    <option value="">— Skip —</option>
+                    {columns.map(column => (
+                      <option key={column} value={column}>{column}</option>
+                    ))}
+                  </select>
+                </div>
+              ))}
+            </div>
+            <p className="text-xs text-gray-500">
+              Required fields may be skipped when the file only updates existing products.
+            </p>
+            <div className="flex justify-end space-x-3">
+              <button
+                onClick={resetWizard}
+                className="bg-gray-200 hover:bg-gray-300 text-gray-800 px-4 py-2 rounded-lg font-medium transition-colors duration-200"
+              >
+                Start Over
+              </button>
+              <button
+                onClick={previewImport}
+                disabled={!mapping.productId}
+                className="bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400 text-white px-4 py-2 rounded-lg font-medium transition-colors duration-200"
+              >
+                🔍 Preview
+              </button>
+            </div>
+          </div>
+        )}
+
+        {/* Preview */}
+        {!loading && step === 'preview' && report && (
+          <div className="space-y-4">
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-center">
+              <div className="bg-gray-50 rounded-lg p-3">
+                <div className="text-2xl font-bold text-gray-900">{report.summary.total}</div>
+                <div className="text-xs text-gray-500">Rows</div>
+              </div>
+              <div className="bg-green-50 rounded-lg p-3">
+                <div className="text-2xl font-bold text-green-600">{report.summary.create}</div>
+                <div className="text-xs text-gray-500">New</div>
+              </div>
+              <div className="bg-blue-50 rounded-lg p-3">
+                <div className="text-2xl font-bold text-blue-600">{report.summary.update}</div>
+                <div className="text-xs text-gray-500">Updates</div>
+              </div>
+              <div className="bg-red-50 rounded-lg p-3">
+                <div className="text-2xl font-bold text-red-600">{report.summary.invalid}</div>
+                <div className="text-xs text-gray-500">Errors</div>
+              </div>
+            </div>
+
+            <div className="overflow-x-auto max-h-96 border border-gray-200 rounded-lg">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50 sticky top-0">
+                  <tr>
+                    {['Line', 'Product ID', 'Name', 'Action', 'Status'].map(heading => (
+                      <th key={heading} className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        {heading}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {report.rows.map(row => (
+                    <tr key={row.line} className={row.status === 'invalid' ? 'bg-red-50' : ''}>
+                      <td className="px-4 py-2 text-sm text-gray-500">{row.line}</td>
+                      <td className="px-4 py-2 text-sm font-medium text-gray-900">{row.productId || '—'}</td>
+                      <td className="px-4 py-2 text-sm text-gray-700">{row.fields.name || '—'}</td>
+                      <td className="px-4 py-2 text-sm">{row.action === 'create' ? '➕ Create' : '📝 Update'}</td>
+                      <td className="px-4 py-2 text-sm">
+                        {row.status === 'valid' ? (
+                          <span className="text-green-600">✅ OK</span>
+                        ) : (
+                          <ul className="text-red-600 text-xs space-y-1">
+                            {row.errors.map((error, index) => (
+                              <li key={index}>{error.field ? `${error.field}: ` : ''}{error.message}</li>
+                            ))}
+                          </ul>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            <div className="flex justify-end space-x-3">
+              <button
+                onClick={() => setStep('map')}
+                className="bg-gray-200 hover:bg-gray-300 text-gray-800 px-4 py-2 rounded-lg font-medium transition-colors duration-200"
+              >
+                ← Back to Mapping
+              </button>
+              <button
+                onClick={commitImport}
+                disabled={report.summary.invalid > 0 || report.summary.total === 0}
+                className="bg-green-600 hover:bg-green-700 disabled:bg-gray-400 text-white px-4 py-2 rounded-lg font-medium transition-colors duration-200"
+              >
+                📥 Import {report.summary.valid} Product(s)
+              </button>
+            </div>
+            {report.summary.invalid > 0 && (
+              <p className="text-sm text-red-600 text-right">Fix the rows with errors and upload the file again to import.</p>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ProductImport;
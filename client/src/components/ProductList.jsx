@@ -1,11 +1,172 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import axios from 'axios';
+import StockMovements from './StockMovements';
+import DemandForecast from './DemandForecast';
+import ProductProjection from './ProductProjection';
+import ProductHistory from './ProductHistory';
+import BulkActions from './BulkActions';
+import PriceBreaksEditor from './PriceBreaksEditor';
 
 const API_BASE_URL = 'http://localhost:5000/api';
+const PAGE_SIZE = 24;
 
-const ProductList = ({ products, loading, onRefresh, showNotification }) => {
+const sortOptions = [
+  { value: 'lastUpdated', label: 'Last Updated' },
+  { value: 'name', label: 'Name' },
+  { value: 'productId', label: 'Product ID' },
+  { value: 'currentStock', label: 'Current Stock' },
+  { value: 'reservedStock', label: 'Reserved Stock' },
+  { value: 'averageDailySales', label: 'Daily Sales' },
+  { value: 'supplierLeadTime', label: 'Lead Time' },
+  { value: 'minimumReorderQuantity', label: 'Min Reorder Qty' },
+  { value: 'costPerUnit', label: 'Cost per Unit' },
+  { value: 'criticality', label: 'Criticality' }
+];
+
+const defaultFilters = { criticality: '', category: '', supplier: '', minStock: '', maxStock: '', sortBy: 'lastUpdated', sortOrder: 'desc' };
+
+// Optional ordering constraints in the edit form
+const optionalOrderFields = ['packSize', 'orderMultiple', 'maximumOrderQuantity'];
+
+const ProductList = ({ products, warehouse, canEdit, canDelete, onRefresh, showNotification }) => {
+  const [items, setItems] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [search, setSearch] = useState('');
+  const [debouncedSearch, setDebouncedSearch] = useState('');
+  const [filters, setFilters] = useState(defaultFilters);
+  const [suppliers, setSuppliers] = useState([]);
+  const [selecting, setSelecting] = useState(false);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [allMatching, setAllMatching] = useState(false);
   const [editingProduct, setEditingProduct] = useState(null);
   const [editForm, setEditForm] = useState({});
+  const [cardTabs, setCardTabs] = useState({});
+  const requestId = useRef(0);
+  const sentinelRef = useRef(null);
+
+  // Fetch a page of products matching the search and filters; without a cursor the list starts over
+  const fetchPage = useCallback(async (cursor = null) => {
+    const request = ++requestId.current;
+    try {
+      if (cursor) {
+        setLoadingMore(true);
+      } else {
+        setLoading(true);
+      }
+      const response = await axios.get(`${API_BASE_URL}/products`, {
+        params: {
+          warehouse: warehouse || undefined,
+          search: debouncedSearch || undefined,
+          criticality: filters.criticality || undefined,
+          category: filters.category || undefined,
+          supplier: filters.supplier || undefined,
+          minStock: filters.minStock === '' ? undefined : filters.minStock,
+          maxStock: filters.maxStock === '' ? undefined : filters.maxStock,
+          sortBy: filters.sortBy,
+          sortOrder: filters.sortOrder,
+          limit: PAGE_SIZE,
+          cursor: cursor || undefined
+        }
+      });
+      // Ignore pages for a search that has since changed
+      if (request !== requestId.current) return;
+      setItems(prev => (cursor ? [...prev, ...response.data.products] : response.data.products));
+      setTotal(response.data.total);
+      setNextCursor(response.data.nextCursor);
+    } catch (error) {
+      showNotification(error.response?.data?.message || 'Failed to fetch products', 'error');
+      console.error('Error fetching products:', error);
+    } finally {
+      if (request === requestId.current) {
+        setLoading(false);
+        setLoadingMore(false);
+      }
+    }
+  }, [warehouse, debouncedSearch, filters, showNotification]);
+
+  // Suppliers for the supplier filter
+  useEffect(() => {
+    axios.get(`${API_BASE_URL}/suppliers`)
+      .then(response => setSuppliers(response.data))
+      .catch(error => console.error('Error fetching suppliers:', error));
+  }, []);
+
+  // Wait for a pause in typing before searching
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedSearch(search.trim()), 300);
+    return () => clearTimeout(timer);
+  }, [search]);
+
+  // App reloads its products after every change, so start the list over whenever they do
+  useEffect(() => {
+    fetchPage();
+  }, [fetchPage, products]);
+
+  // Load the next page once the end of the grid scrolls into view
+  useEffect(() => {
+    if (!nextCursor || loading || loadingMore || !sentinelRef.current) return;
+    const observer = new IntersectionObserver(entries => {
+      if (entries[0].isIntersecting) fetchPage(nextCursor);
+    }, { rootMargin: '200px' });
+    observer.observe(sentinelRef.current);
+    return () => observer.disconnect();
+  }, [fetchPage, nextCursor, loading, loadingMore]);
+
+  const updateFilter = (field, value) => {
+    setFilters(prev => ({ ...prev, [field]: value }));
+  };
+
+  const clearFilters = () => {
+    setSearch('');
+    setFilters(defaultFilters);
+  };
+
+  // Categories in use, for the filter and the edit form's suggestions
+  const categories = [...new Set(products.map(product => product.category).filter(Boolean))].sort();
+
+  const isFiltered = search.trim() !== '' || filters.criticality !== '' || filters.category !== '' || filters.supplier !== '' ||
+    filters.minStock !== '' || filters.maxStock !== '';
+
+  // The filters as the bulk endpoint takes them, for acting on every matching product
+  const bulkFilter = {
+    search: debouncedSearch || undefined,
+    criticality: filters.criticality || undefined,
+    category: filters.category || undefined,
+    supplier: filters.supplier || undefined,
+    minStock: filters.minStock === '' ? undefined : filters.minStock,
+    maxStock: filters.maxStock === '' ? undefined : filters.maxStock
+  };
+
+  // Unticking a card while everything matching is selected narrows the selection to the loaded cards
+  const toggleSelected = (productId) => {
+    const current = allMatching ? items.map(product => product._id) : selectedIds;
+    setAllMatching(false);
+    setSelectedIds(current.includes(productId) ? current.filter(id => id !== productId) : [...current, productId]);
+  };
+
+  const clearSelection = () => {
+    setSelectedIds([]);
+    setAllMatching(false);
+  };
+
+  const toggleSelecting = () => {
+    setSelecting(prev => !prev);
+    clearSelection();
+  };
+
+  // After a bulk change the selection no longer means anything; reload everything
+  const handleBulkApplied = () => {
+    clearSelection();
+    onRefresh();
+  };
+
+  // Switch the details/movements tab of a single product card
+  const setCardTab = (productId, tab) => {
+    setCardTabs(prev => ({ ...prev, [productId]: tab }));
+  };
 
   // Handle product deletion
   const handleDelete = async (productId) => {
@@ -36,7 +197,13 @@ const ProductList = ({ products, loading, onRefresh, showNotification }) => {
   // Save edited product
   const saveProduct = async () => {
     try {
-      await axios.put(`${API_BASE_URL}/products/${editingProduct}`, editForm);
+      // Supplier links are managed from the Suppliers tab; stock levels come from the ledger
+      const { suppliers: _suppliers, stockLevels: _stockLevels, networkStock: _networkStock, warehouse: _warehouse, ...updates } = editForm;
+      await axios.put(`${API_BASE_URL}/products/${editingProduct}`, {
+        ...updates,
+        priceBreaks: (updates.priceBreaks || []).filter(priceBreak => priceBreak.minQuantity !== '' && priceBreak.costPerUnit !== ''),
+        warehouse: warehouse || undefined
+      });
       showNotification('Product updated successfully!', 'success');
       setEditingProduct(null);
       setEditForm({});
@@ -51,10 +218,13 @@ const ProductList = ({ products, loading, onRefresh, showNotification }) => {
   const handleInputChange = (field, value) => {
     setEditForm(prev => ({
       ...prev,
-      [field]: field.includes('Stock') || field.includes('Sales') || field.includes('LeadTime') || 
-               field.includes('Quantity') || field.includes('costPerUnit') 
-        ? parseFloat(value) || 0 
-        : value
+      // Ordering constraints are optional; clearing one removes it
+      [field]: optionalOrderFields.includes(field)
+        ? (value === '' ? null : parseFloat(value))
+        : field.includes('Stock') || field.includes('Sales') || field.includes('LeadTime') || 
+          field.includes('Quantity') || field.includes('costPerUnit') 
+          ? parseFloat(value) || 0 
+          : value
     }));
   };
 
@@ -73,14 +243,6 @@ const ProductList = ({ products, loading, onRefresh, showNotification }) => {
     );
   };
 
-  if (loading) {
-    return (
-      <div className="flex justify-center items-center h-64">
-        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
-      </div>
-    );
-  }
-
   return (
     <div className="space-y-6">
       {/* Header */}
@@ -89,36 +251,245 @@ const ProductList = ({ products, loading, onRefresh, showNotification }) => {
           <h2 className="text-2xl font-bold text-gray-900">📦 Product Inventory</h2>
           <p className="text-gray-600 mt-1">Manage your warehouse products and stock levels</p>
         </div>
-        <button
-          onClick={onRefresh}
-          className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg font-medium transition-colors duration-200"
-        >
-          🔄 Refresh
-        </button>
+        <div className="flex space-x-3">
+          {canEdit && (
+            <button
+              onClick={toggleSelecting}
+              className={`px-4 py-2 rounded-lg font-medium transition-colors duration-200 ${
+                selecting ? 'bg-gray-700 hover:bg-gray-800 text-white' : 'bg-gray-200 hover:bg-gray-300 text-gray-800'
+              }`}
+            >
+              {selecting ? '✖ Done Selecting' : '☑️ Select'}
+            </button>
+          )}
+          <button
+            onClick={onRefresh}
+            className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg font-medium transition-colors duration-200"
+          >
+            🔄 Refresh
+          </button>
+        </div>
       </div>
 
+      {/* Search & Filters */}
+      <div className="bg-white rounded-xl shadow-lg p-4 grid grid-cols-2 md:grid-cols-8 gap-3 items-end">
+        <div className="col-span-2">
+          <label className="block text-sm font-medium text-gray-700 mb-1">Search</label>
+          <input
+            type="search"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="🔍 Name or product ID"
+            className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Criticality</label>
+          <select
+            value={filters.criticality}
+            onChange={(e) => updateFilter('criticality', e.target.value)}
+            className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          >
+            <option value="">All</option>
+            <option value="high">High</option>
+            <option value="medium">Medium</option>
+            <option value="low">Low</option>
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Category</label>
+          <select
+            value={filters.category}
+            onChange={(e) => updateFilter('category', e.target.value)}
+            className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          >
+            <option value="">All</option>
+            {categories.map(category => (
+              <option key={category} value={category}>{category}</option>
+            ))}
+          </select>
+          <datalist id="product-categories">
+            {categories.map(category => <option key={category} value={category} />)}
+          </datalist>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Supplier</label>
+          <select
+            value={filters.supplier}
+            onChange={(e) => updateFilter('supplier', e.target.value)}
+            className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          >
+            <option value="">All</option>
+            {suppliers.map(supplier => (
+              <option key={supplier._id} value={supplier._id}>{supplier.name}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Stock Range</label>
+          <div className="flex items-center space-x-1">
+            <input
+              type="number"
+              min="0"
+              value={filters.minStock}
+              onChange={(e) => updateFilter('minStock', e.target.value)}
+              placeholder="Min"
+              className="w-full border border-gray-300 rounded-lg px-2 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+            <span className="text-gray-400">–</span>
+            <input
+              type="number"
+              min="0"
+              value={filters.maxStock}
+              onChange={(e) => updateFilter('maxStock', e.target.value)}
+              placeholder="Max"
+              className="w-full border border-gray-300 rounded-lg px-2 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+          </div>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Sort By</label>
+          <select
+            value={filters.sortBy}
+            onChange={(e) => updateFilter('sortBy', e.target.value)}
+            className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          >
+            {sortOptions.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+        <div className="flex space-x-2">
+          <button
+            onClick={() => updateFilter('sortOrder', filters.sortOrder === 'asc' ? 'desc' : 'asc')}
+            title={filters.sortOrder === 'asc' ? 'Ascending' : 'Descending'}
+            className="flex-1 bg-gray-100 hover:bg-gray-200 text-gray-800 px-3 py-2 rounded-lg font-medium transition-colors duration-200"
+          >
+            {filters.sortOrder === 'asc' ? '⬆️ Asc' : '⬇️ Desc'}
+          </button>
+          {isFiltered && (
+            <button
+              onClick={clearFilters}
+              className="flex-1 bg-gray-100 hover:bg-gray-200 text-gray-800 px-3 py-2 rounded-lg font-medium transition-colors duration-200"
+            >
+              ✖ Clear
+            </button>
+          )}
+        </div>
+        <p className="col-span-2 md:col-span-8 text-xs text-gray-500">
+          Showing {items.length} of {total} product{total === 1 ? '' : 's'}
+          {warehouse && ' · stock range and stock sorting use the selected warehouse'}
+        </p>
+      </div>
+
+      {/* Bulk Actions */}
+      {selecting && (
+        <>
+          <div className="flex items-center space-x-4 text-sm">
+            <button
+              onClick={() => {
+                setSelectedIds(items.map(product => product._id));
+                setAllMatching(false);
+              }}
+              className="text-blue-600 hover:text-blue-800"
+            >
+              Select loaded ({items.length})
+            </button>
+            <button
+              onClick={() => {
+                setSelectedIds([]);
+                setAllMatching(true);
+              }}
+              className="text-blue-600 hover:text-blue-800"
+            >
+              Select all {total} matching
+            </button>
+            <button onClick={clearSelection} className="text-gray-500 hover:text-gray-700">
+              Clear selection
+            </button>
+          </div>
+          <BulkActions
+            productIds={allMatching ? null : selectedIds}
+            filter={bulkFilter}
+            warehouse={warehouse}
+            count={allMatching ? total : selectedIds.length}
+            canDelete={canDelete}
+            onApplied={handleBulkApplied}
+            showNotification={showNotification}
+          />
+        </>
+      )}
+
       {/* Products Grid */}
-      {products.length === 0 ? (
+      {loading && items.length === 0 ? (
+        <div className="flex justify-center items-center h-64">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+        </div>
+      ) : items.length === 0 ? (
         <div className="text-center py-12">
           <div className="text-6xl mb-4">📭</div>
           <h3 className="text-xl font-medium text-gray-900 mb-2">No Products Found</h3>
-          <p className="text-gray-600">Load sample data or add your first product to get started!</p>
+          <p className="text-gray-600">
+            {isFiltered
+              ? 'No products match the search and filters.'
+              : 'Load sample data or add your first product to get started!'}
+          </p>
         </div>
       ) : (
         <div className="grid grid-cols-1 lg:grid-cols-2 xl:grid-cols-3 gap-6">
-          {products.map((product) => (
-            <div key={product._id} className="bg-white rounded-xl shadow-lg hover:shadow-xl transition-shadow duration-300 overflow-hidden">
+          {items.map((product) => (
+            <div
+              key={product._id}
+              className={`bg-white rounded-xl shadow-lg hover:shadow-xl transition-shadow duration-300 overflow-hidden ${
+                selecting && (allMatching || selectedIds.includes(product._id)) ? 'ring-4 ring-blue-400' : ''
+              }`}
+            >
               {/* Product Header */}
               <div className="bg-gradient-to-r from-blue-500 to-purple-600 p-4">
                 <div className="flex justify-between items-start">
-                  <div>
+                  {selecting && (
+                    <input
+                      type="checkbox"
+                      checked={allMatching || selectedIds.includes(product._id)}
+                      onChange={() => toggleSelected(product._id)}
+                      className="mt-1 mr-3 h-5 w-5"
+                    />
+                  )}
+                  <div className="flex-1 min-w-0">
                     <h3 className="text-white font-bold text-lg truncate">{product.name}</h3>
-                    <p className="text-blue-100 text-sm">ID: {product.productId}</p>
+                    <p className="text-blue-100 text-sm">
+                      ID: {product.productId}{product.category && ` · ${product.category}`}
+                    </p>
                   </div>
                   <CriticalityBadge level={product.criticality} />
                 </div>
               </div>
 
+              {/* Card Tabs */}
+              {editingProduct !== product._id && (
+                <div className="flex border-b border-gray-200 text-sm">
+                  {[
+                    { id: 'details', label: '📋 Details' },
+                    { id: 'movements', label: '📜 Movements' },
+                    { id: 'forecast', label: '🔮 Forecast' },
+                    { id: 'projection', label: '📉 Projection' },
+                    { id: 'history', label: '🕘 History' }
+                  ].map(tab => (
+                    <button
+                      key={tab.id}
+                      onClick={() => setCardTab(product._id, tab.id)}
+                      className={`flex-1 py-2 font-medium transition-colors duration-200 ${
+                        (cardTabs[product._id] || 'details') === tab.id
+                          ? 'text-blue-600 border-b-2 border-blue-600'
+                          : 'text-gray-500 hover:text-blue-600'
+                      }`}
+                    >
+                      {tab.label}
+                    </button>
+                  ))}
+                </div>
+              )}
+
               {/* Product Details */}
               <div className="p-6">
                 {editingProduct === product._id ? (
@@ -133,7 +504,17 @@ const ProductList = ({ products, loading, onRefresh, showNotification }) => {
                         className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
                       />
                     </div>
-                    <div className="grid grid-cols-2 gap-3">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Category</label>
+                      <input
+                        type="text"
+                        value={editForm.category || ''}
+                        onChange={(e) => handleInputChange('category', e.target.value)}
+                        list="product-categories"
+                        className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                      />
+                    </div>
+                    <div className="grid grid-cols-3 gap-3">
                       <div>
                         <label className="block text-sm font-medium text-gray-700 mb-1">Current Stock</label>
                         <input
@@ -143,6 +524,16 @@ const ProductList = ({ products, loading, onRefresh, showNotification }) => {
                           className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
                         />
                       </div>
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">Reserved</label>
+                        <input
+                          type="number"
+                          min="0"
+                          value={editForm.reservedStock || ''}
+                          onChange={(e) => handleInputChange('reservedStock', e.target.value)}
+                          className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                        />
+                      </div>
                       <div>
                         <label className="block text-sm font-medium text-gray-700 mb-1">Daily Sales</label>
                         <input
@@ -198,6 +589,70 @@ const ProductList = ({ products, loading, onRefresh, showNotification }) => {
                         </select>
                       </div>
                     </div>
+                    <div className="grid grid-cols-2 gap-3">
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">Ordering Cost (₹/order)</label>
+                        <input
+                          type="number"
+                          step="0.01"
+                          placeholder="Default"
+                          value={editForm.orderingCost ?? ''}
+                          onChange={(e) => handleInputChange('orderingCost', e.target.value)}
+                          className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                        />
+                      </div>
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">Holding Rate (/year)</label>
+                        <input
+                          type="number"
+                          step="0.01"
+                          placeholder="Default"
+                          value={editForm.holdingCostRate ?? ''}
+                          onChange={(e) => handleInputChange('holdingCostRate', e.target.value)}
+                          className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                        />
+                      </div>
+                    </div>
+                    <div className="grid grid-cols-3 gap-3">
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">Pack Size</label>
+                        <input
+                          type="number"
+                          min="1"
+                          placeholder="1"
+                          value={editForm.packSize ?? ''}
+                          onChange={(e) => handleInputChange('packSize', e.target.value)}
+                          className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                        />
+                      </div>
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">Order Multiple</label>
+                        <input
+                          type="number"
+                          min="1"
+                          placeholder="1"
+                          value={editForm.orderMultiple ?? ''}
+                          onChange={(e) => handleInputChange('orderMultiple', e.target.value)}
+                          className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                        />
+                      </div>
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">Max Order Qty</label>
+                        <input
+                          type="number"
+                          min="1"
+                          placeholder="No limit"
+                          value={editForm.maximumOrderQuantity ?? ''}
+                          onChange={(e) => handleInputChange('maximumOrderQuantity', e.target.value)}
+                          className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                        />
+                      </div>
+                    </div>
+                    <PriceBreaksEditor
+                      priceBreaks={editForm.priceBreaks || []}
+                      onChange={(priceBreaks) => setEditForm(prev => ({ ...prev, priceBreaks }))}
+                      listPrice={editForm.costPerUnit}
+                    />
                     
                     {/* Edit Action Buttons */}
                     <div className="flex space-x-3 pt-4">
@@ -215,6 +670,24 @@ const ProductList = ({ products, loading, onRefresh, showNotification }) => {
                       </button>
                     </div>
                   </div>
+                ) : cardTabs[product._id] === 'forecast' ? (
+                  /* Demand Forecast */
+                  <DemandForecast product={product} />
+                ) : cardTabs[product._id] === 'projection' ? (
+                  /* Day-by-day Stock Projection */
+                  <ProductProjection product={product} warehouse={warehouse} />
+                ) : cardTabs[product._id] === 'history' ? (
+                  /* Change History */
+                  <ProductHistory product={product} />
+                ) : cardTabs[product._id] === 'movements' ? (
+                  /* Stock Movement Ledger */
+                  <StockMovements
+                    product={product}
+                    warehouse={warehouse}
+                    canPost={canEdit}
+                    onStockChanged={onRefresh}
+                    showNotification={showNotification}
+                  />
                 ) : (
                   /* Display Mode */
                   <div className="space-y-4">
@@ -226,6 +699,16 @@ const ProductList = ({ products, loading, onRefresh, showNotification }) => {
                         <span className="text-sm text-gray-500">units</span>
                       </div>
                     </div>
+                    {product.reservedStock > 0 && (
+                      <div className="text-xs text-gray-500 text-right">
+                        {product.reservedStock} reserved for customer orders
+                      </div>
+                    )}
+                    {product.networkStock !== undefined && (
+                      <div className="text-xs text-gray-500 text-right">
+                        🏬 {product.warehouse.name} · {product.networkStock} units network-wide
+                      </div>
+                    )}
 
                     {/* Stock Level Progress Bar */}
                     <div className="w-full bg-gray-200 rounded-full h-2">
@@ -253,6 +736,14 @@ const ProductList = ({ products, loading, onRefresh, showNotification }) => {
                           <span className="text-gray-600">Min Reorder:</span>
                           <span className="font-medium">{product.minimumReorderQuantity}</span>
                         </div>
+                        {(product.packSize > 1 || product.orderMultiple > 1) && (
+                          <div className="flex justify-between">
+                            <span className="text-gray-600">Order In:</span>
+                            <span className="font-medium">
+                              {product.packSize > 1 ? `packs of ${product.packSize}` : `×${product.orderMultiple}`}
+                            </span>
+                          </div>
+                        )}
                       </div>
                       <div className="space-y-2">
                         <div className="flex justify-between">
@@ -274,21 +765,37 @@ const ProductList = ({ products, loading, onRefresh, showNotification }) => {
                       </div>
                     </div>
 
+                    {/* Suppliers */}
+                    {product.suppliers?.length > 0 && (
+                      <div className="text-sm text-gray-600">
+                        🏢 {(product.suppliers.find(link => link.preferred) || product.suppliers[0]).supplier?.name}
+                        {product.suppliers.length > 1 && (
+                          <span className="text-gray-400"> +{product.suppliers.length - 1} alternative{product.suppliers.length > 2 ? 's' : ''}</span>
+                        )}
+                      </div>
+                    )}
+
                     {/* Action Buttons */}
-                    <div className="flex space-x-3 pt-4 border-t">
-                      <button
-                        onClick={() => startEditing(product)}
-                        className="flex-1 bg-blue-600 hover:bg-blue-700 text-white py-2 px-4 rounded-lg font-medium transition-colors duration-200 text-sm"
-                      >
-                        ✏️ Edit
-                      </button>
-                      <button
-                        onClick={() => handleDelete(product._id)}
-                        className="flex-1 bg-red-600 hover:bg-red-700 text-white py-2 px-4 rounded-lg font-medium transition-colors duration-200 text-sm"
-                      >
-                        🗑️ Delete
-                      </button>
-                    </div>
+                    {(canEdit || canDelete) && (
+                      <div className="flex space-x-3 pt-4 border-t">
+                        {canEdit && (
+                          <button
+                            onClick={() => startEditing(product)}
+                            className="flex-1 bg-blue-600 hover:bg-blue-700 text-white py-2 px-4 rounded-lg font-medium transition-colors duration-200 text-sm"
+                          >
+                            ✏️ Edit
+                          </button>
+                        )}
+                        {canDelete && (
+                          <button
+                            onClick={() => handleDelete(product._id)}
+                            className="flex-1 bg-red-600 hover:bg-red-700 text-white py-2 px-4 rounded-lg font-medium transition-colors duration-200 text-sm"
+                          >
+                            🗑️ Delete
+                          </button>
+                        )}
+                      </div>
+                    )}
                   </div>
                 )}
               </div>
@@ -296,6 +803,13 @@ const ProductList = ({ products, loading, onRefresh, showNotification }) => {
           ))}
         </div>
       )}
+
+      {/* Infinite Scroll */}
+      {nextCursor && (
+        <div ref={sentinelRef} className="flex justify-center py-4">
+          {loadingMore && <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>}
+        </div>
+      )}
     </div>
   );
 };
@@ -0,0 +1,65 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import InventoryProjectionChart from './InventoryProjectionChart';
+
+const API_BASE_URL = 'http://localhost:5000/api';
+
+const ProductProjection = ({ product, warehouse }) => {
+  const [days, setDays] = useState(90);
+  const [projection, setProjection] = useState(null);
+  const [projectionError, setProjectionError] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  // Fetch the projection for the selected horizon, scoped to the selected warehouse
+  const fetchProjection = useCallback(async () => {
+    try {
+      setLoading(true);
+      setProjectionError(null);
+      const response = await axios.get(`${API_BASE_URL}/products/${product._id}/projection`, {
+        params: { days, warehouse: warehouse || undefined }
+      });
+      setProjection(response.data);
+    } catch (error) {
+      setProjection(null);
+      setProjectionError(error.response?.data?.message || 'Failed to load projection');
+      console.error('Error fetching projection:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [product._id, warehouse, days]);
+
+  useEffect(() => {
+    fetchProjection();
+  }, [fetchProjection, product.currentStock]);
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between">
+        <span className="text-xs text-gray-500">
+          {projection && `${projection.averageDailySales}/day · ${projection.supplierLeadTime}-day lead time`}
+        </span>
+        <select
+          value={days}
+          onChange={(e) => setDays(parseInt(e.target.value))}
+          className="border border-gray-300 rounded-lg px-2 py-1 text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+        >
+          <option value={30}>Next 30 days</option>
+          <option value={90}>Next 90 days</option>
+          <option value={180}>Next 180 days</option>
+        </select>
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center items-center h-40">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+        </div>
+      ) : projectionError ? (
+        <p className="text-sm text-gray-500 italic text-center py-8">{projectionError}</p>
+      ) : projection && (
+        <InventoryProjectionChart projection={projection} height={160} compact />
+      )}
+    </div>
+  );
+};
+
+export default ProductProjection;
@@ -0,0 +1,383 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+
+const API_BASE_URL = 'http://localhost:5000/api';
+
+const statusStyles = {
+  draft: { label: '📝 DRAFT', className: 'bg-gray-100 text-gray-800' },
+  submitted: { label: '📨 SUBMITTED', className: 'bg-blue-100 text-blue-800' },
+  partially_received: { label: '📦 PARTIALLY RECEIVED', className: 'bg-yellow-100 text-yellow-800' },
+  received: { label: '✅ RECEIVED', className: 'bg-green-100 text-green-800' },
+  cancelled: { label: '🚫 CANCELLED', className: 'bg-red-100 text-red-800' }
+};
+
+const PurchaseOrders = ({ showNotification, onStockChanged }) => {
+  const [purchaseOrders, setPurchaseOrders] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [statusFilter, setStatusFilter] = useState('');
+  const [expandedOrder, setExpandedOrder] = useState(null);
+  const [draftLines, setDraftLines] = useState([]);
+  const [receiveQuantities, setReceiveQuantities] = useState({});
+
+  // Fetch purchase orders
+  const fetchPurchaseOrders = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get(`${API_BASE_URL}/purchase-orders`, {
+        params: statusFilter ? { status: statusFilter } : {}
+      });
+      setPurchaseOrders(response.data);
+    } catch (error) {
+      showNotification('Failed to fetch purchase orders', 'error');
+      console.error('Error fetching purchase orders:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [statusFilter, showNotification]);
+
+  useEffect(() => {
+    fetchPurchaseOrders();
+  }, [fetchPurchaseOrders]);
+
+  // Expand an order and prepare its editable lines / receive quantities
+  const toggleOrder = (order) => {
+    if (expandedOrder === order._id) {
+      setExpandedOrder(null);
+      return;
+    }
+    setExpandedOrder(order._id);
+    setDraftLines(order.lines.map(line => ({ ...line })));
+    setReceiveQuantities(
+      Object.fromEntries(order.lines.map(line => [line._id, line.quantity - line.receivedQuantity]))
+    );
+  };
+
+  // Replace an order in the list after an update
+  const replaceOrder = (updatedOrder) => {
+    setPurchaseOrders(prev => prev.map(order => (order._id === updatedOrder._id ? updatedOrder : order)));
+    setDraftLines(updatedOrder.lines.map(line => ({ ...line })));
+    setReceiveQuantities(
+      Object.fromEntries(updatedOrder.lines.map(line => [line._id, line.quantity - line.receivedQuantity]))
+    );
+  };
+
+  // Generate drafts from the current reorder analysis
+  const generateFromAnalysis = async () => {
+    try {
+      const response = await axios.post(`${API_BASE_URL}/purchase-orders/from-reorder-analysis`);
+      const { created, skipped } = response.data;
+      showNotification(
+        `Created ${created.length} draft purchase order(s)${skipped.length ? `, ${skipped.length} item(s) already on order` : ''}`,
+        'success'
+      );
+      fetchPurchaseOrders();
+    } catch (error) {
+      showNotification('Failed to generate purchase orders', 'error');
+      console.error('Error generating purchase orders:', error);
+    }
+  };
+
+  // Save edited draft lines
+  const saveDraft = async (order) => {
+    try {
+      const response = await axios.put(`${API_BASE_URL}/purchase-orders/${order._id}`, {
+        lines: draftLines.map(line => ({
+          _id: line._id,
+          productId: line.productId,
+          quantity: parseInt(line.quantity),
+          unitCost: parseFloat(line.unitCost),
+          leadTime: line.leadTime
+        }))
+      });
+      replaceOrder(response.data);
+      showNotification('Purchase order updated!', 'success');
+    } catch (error) {
+      showNotification(error.response?.data?.message || 'Failed to update purchase order', 'error');
+      console.error('Error updating purchase order:', error);
+    }
+  };
+
+  // Run a lifecycle action (submit / cancel)
+  const runAction = async (order, action, successMessage) => {
+    try {
+      const response = await axios.post(`${API_BASE_URL}/purchase-orders/${order._id}/${action}`);
+      replaceOrder(response.data);
+      showNotification(successMessage, 'success');
+    } catch (error) {
+      showNotification(error.response?.data?.message || `Failed to ${action} purchase order`, 'error');
+      console.error(`Error running ${action} on purchase order:`, error);
+    }
+  };
+
+  // Receive goods against an order
+  const receiveGoods = async (order) => {
+    try {
+      const response = await axios.post(`${API_BASE_URL}/purchase-orders/${order._id}/receive`, {
+        lines: Object.entries(receiveQuantities).map(([lineId, quantity]) => ({
+          lineId,
+          quantity: parseFloat(quantity) || 0
+        }))
+      });
+      replaceOrder(response.data);
+      showNotification('Goods received into stock!', 'success');
+      onStockChanged();
+    } catch (error) {
+      showNotification(error.response?.data?.message || 'Failed to receive goods', 'error');
+      console.error('Error receiving goods:', error);
+    }
+  };
+
+  // Delete a draft
+  const deleteDraft = async (order) => {
+    if (!window.confirm(`Delete draft ${order.poNumber}?`)) return;
+
+    try {
+      await axios.delete(`${API_BASE_URL}/purchase-orders/${order._id}`);
+      showNotification('Draft deleted', 'success');
+      setExpandedOrder(null);
+      fetchPurchaseOrders();
+    } catch (error) {
+      showNotification('Failed to delete draft', 'error');
+      console.error('Error deleting purchase order:', error);
+    }
+  };
+
+  // Download the printable purchase order for the supplier
+  const downloadPdf = async (order) => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/purchase-orders/${order._id}/pdf`, { responseType: 'blob' });
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${order.poNumber}.pdf`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      showNotification('Failed to download purchase order PDF', 'error');
+      console.error('Error downloading purchase order PDF:', error);
+    }
+  };
+
+  const updateDraftLine = (index, field, value) => {
+    setDraftLines(prev => prev.map((line, i) => (i === index ? { ...line, [field]: value } : line)));
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex justify-between items-center">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900">🧾 Purchase Orders</h2>
+          <p className="text-gray-600 mt-1">Draft, submit and receive orders with your suppliers</p>
+        </div>
+        <div className="flex space-x-3">
+          <select
+            value={statusFilter}
+            onChange={(e) => setStatusFilter(e.target.value)}
+            className="border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          >
+            <option value="">All Statuses</option>
+            <option value="draft">Draft</option>
+            <option value="submitted,partially_received">Open</option>
+            <option value="received">Received</option>
+            <option value="cancelled">Cancelled</option>
+          </select>
+          <button
+            onClick={generateFromAnalysis}
+            className="bg-green-600 hover:bg-green-700 text-white px-4 py-2 rounded-lg font-medium transition-colors duration-200"
+          >
+            🪄 Generate from Reorder Analysis
+          </button>
+        </div>
+      </div>
+
+      {purchaseOrders.length === 0 ? (
+        <div className="bg-white rounded-xl shadow-lg text-center py-12">
+          <div className="text-6xl mb-4">🧾</div>
+          <h3 className="text-xl font-medium text-gray-900 mb-2">No Purchase Orders</h3>
+          <p className="text-gray-600">Generate drafts from the reorder analysis to get started.</p>
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {purchaseOrders.map(order => (
+            <div key={order._id} className="bg-white rounded-xl shadow-lg overflow-hidden">
+              {/* Order Summary */}
+              <div
+                onClick={() => toggleOrder(order)}
+                className="p-4 flex flex-wrap justify-between items-center gap-4 cursor-pointer hover:bg-gray-50"
+              >
+                <div>
+                  <div className="font-bold text-gray-800">{order.poNumber}</div>
+                  <div className="text-sm text-gray-500">
+                    🏢 {order.supplier ? order.supplier.name : 'No supplier assigned'} · {order.lines.length} line(s)
+                  </div>
+                </div>
+                <div className="text-right">
+                  <div className="font-semibold text-green-600">
+                    ₹{order.totalCost.toLocaleString('en-US', { maximumFractionDigits: 2 })}
+                  </div>
+                  <div className="text-xs text-gray-500">
+                    {order.expectedDeliveryDate
+                      ? `Expected ${new Date(order.expectedDeliveryDate).toLocaleDateString()}`
+                      : `Created ${new Date(order.createdAt).toLocaleDateString()}`}
+                  </div>
+                </div>
+                <span className={`px-3 py-1 rounded-full text-xs font-medium ${statusStyles[order.status].className}`}>
+                  {statusStyles[order.status].label}
+                </span>
+              </div>
+
+              {/* Order Details */}
+              {expandedOrder === order._id && (
+                <div className="border-t border-gray-200 p-4 space-y-4">
+                  <div className="overflow-x-auto">
+                    <table className="min-w-full divide-y divide-gray-200">
+                      <thead className="bg-gray-50">
+                        <tr>
+                          {['Product', 'Quantity', 'Unit Cost', 'Line Total', 'Received', ''].map(heading => (
+                            <th key={heading} className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                              {heading}
+                            </th>
+                          ))}
+                        </tr>
+                      </thead>
+                      <tbody className="bg-white divide-y divide-gray-200">
+                        {draftLines.map((line, index) => (
+                          <tr key={line._id || index}>
+                            <td className="px-4 py-2 whitespace-nowrap">
+                              <div className="text-sm font-medium text-gray-900">{line.name}</div>
+                              <div className="text-xs text-gray-500">{line.productId}</div>
+                            </td>
+                            <td className="px-4 py-2">
+                              {order.status === 'draft' ? (
+                                <input
+                                  type="number"
+                                  min="1"
+                                  value={line.quantity}
+                                  onChange={(e) => updateDraftLine(index, 'quantity', e.target.value)}
+                                  className="w-24 border border-gray-300 rounded-lg px-2 py-1 text-sm"
+                                />
+                              ) : (
+                                <span className="text-sm">{line.quantity}</span>
+                              )}
+                            </td>
+                            <td className="px-4 py-2">
+                              {order.status === 'draft' ? (
+                                <input
+                                  type="number"
+                                  step="0.01"
+                                  min="0"
+                                  value={line.unitCost}
+                                  onChange={(e) => updateDraftLine(index, 'unitCost', e.target.value)}
+                                  className="w-28 border border-gray-300 rounded-lg px-2 py-1 text-sm"
+                                />
+                              ) : (
+                                <span className="text-sm">₹{line.unitCost}</span>
+                              )}
+                            </td>
+                            <td className="px-4 py-2 text-sm font-medium">
+                              ₹{((parseFloat(line.quantity) || 0) * (parseFloat(line.unitCost) || 0)).toFixed(2)}
+                            </td>
+                            <td className="px-4 py-2 text-sm">
+                              {['submitted', 'partially_received'].includes(order.status) ? (
+                                <div className="flex items-center space-x-2">
+                                  <span className="text-gray-500">{line.receivedQuantity}/{line.quantity}</span>
+                                  <input
+                                    type="number"
+                                    min="0"
+                                    max={line.quantity - line.receivedQuantity}
+                                    value={receiveQuantities[line._id] ?? 0}
+                                    onChange={(e) => setReceiveQuantities(prev => ({ ...prev, [line._id]: e.target.value }))}
+                                    className="w-20 border border-gray-300 rounded-lg px-2 py-1 text-sm"
+                                  />
+                                </div>
+                              ) : (
+                                <span>{line.receivedQuantity}/{line.quantity}</span>
+                              )}
+                            </td>
+                            <td className="px-4 py-2 text-sm">
+                              {order.status === 'draft' && (
+                                <button
+                                  onClick={() => setDraftLines(prev => prev.filter((_, i) => i !== index))}
+                                  className="text-red-600 hover:text-red-800 text-xs underline"
+                                >
+                                  Remove
+                                </button>
+                              )}
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+
+                  {order.notes && <p className="text-sm text-gray-600">🗒️ {order.notes}</p>}
+
+                  {/* Lifecycle Actions */}
+                  <div className="flex flex-wrap gap-3">
+                    {order.status === 'draft' && (
+                      <>
+                        <button
+                          onClick={() => saveDraft(order)}
+                          className="bg-blue-600 hover:bg-blue-700 text-white py-2 px-4 rounded-lg text-sm font-medium transition-colors duration-200"
+                        >
+                          💾 Save Changes
+                        </button>
+                        <button
+                          onClick={() => runAction(order, 'submit', `${order.poNumber} submitted to supplier`)}
+                          className="bg-green-600 hover:bg-green-700 text-white py-2 px-4 rounded-lg text-sm font-medium transition-colors duration-200"
+                        >
+                          📨 Submit
+                        </button>
+                        <button
+                          onClick={() => deleteDraft(order)}
+                          className="bg-gray-500 hover:bg-gray-600 text-white py-2 px-4 rounded-lg text-sm font-medium transition-colors duration-200"
+                        >
+                          🗑️ Delete Draft
+                        </button>
+                      </>
+                    )}
+                    {['submitted', 'partially_received'].includes(order.status) && (
+                      <button
+                        onClick={() => receiveGoods(order)}
+                        className="bg-green-600 hover:bg-green-700 text-white py-2 px-4 rounded-lg text-sm font-medium transition-colors duration-200"
+                      >
+                        📥 Receive Goods
+                      </button>
+                    )}
+                    {['draft', 'submitted', 'partially_received'].includes(order.status) && (
+                      <button
+                        onClick={() => runAction(order, 'cancel', `${order.poNumber} cancelled`)}
+                        className="bg-red-600 hover:bg-red-700 text-white py-2 px-4 rounded-lg text-sm font-medium transition-colors duration-200"
+                      >
+                        🚫 Cancel Order
+                      </button>
+                    )}
+                    {order.lines.length > 0 && (
+                      <button
+                        onClick={() => downloadPdf(order)}
+                        className="bg-gray-100 hover:bg-gray-200 text-gray-800 py-2 px-4 rounded-lg text-sm font-medium transition-colors duration-200"
+                      >
+                        📄 Download PDF
+                      </button>
+                    )}
+                  </div>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PurchaseOrders;
@@ -1,8 +1,42 @@
 import React, { useState } from 'react';
+import axios from 'axios';
+import BudgetPlan from './BudgetPlan';
 
-const ReorderAnalysis = ({ reorderData, loading, onRefresh }) => {
+const API_BASE_URL = 'http://localhost:5000/api';
+
+const ReorderAnalysis = ({ reorderData, loading, warehouse, onRefresh, analysisOptions, onAnalysisOptionsChange, onCreatePurchaseOrders, showNotification }) => {
   const [sortBy, setSortBy] = useState('daysRemaining');
   const [filterBy, setFilterBy] = useState('all');
+  const [exporting, setExporting] = useState(false);
+
+  // Download the analysis as shown, with the same sort and filter
+  const exportAnalysis = async (format) => {
+    try {
+      setExporting(true);
+      const response = await axios.get(`${API_BASE_URL}/reorder-analysis/export`, {
+        params: {
+          format,
+          sortBy,
+          filterBy,
+          warehouse: warehouse || undefined,
+          orderPolicy: analysisOptions.orderPolicy,
+          forecastModel: analysisOptions.forecastModel || undefined
+        },
+        responseType: 'blob'
+      });
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `reorder-analysis-${new Date().toISOString().slice(0, 10)}.${format}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      showNotification('Failed to export reorder analysis', 'error');
+      console.error('Error exporting reorder analysis:', error);
+    } finally {
+      setExporting(false);
+    }
+  };
 
   // Sort and filter data
   const processedData = reorderData
@@ -33,7 +67,11 @@ const ReorderAnalysis = ({ reorderData, loading, onRefresh }) => {
       .filter(item => item.needsReorder)
       .reduce((sum, item) => sum + item.estimatedCost, 0),
     criticalReorders: reorderData
-      .filter(item => item.needsReorder && item.criticality === 'high').length
+      .filter(item => item.needsReorder && item.criticality === 'high').length,
+    eoqAnnualCost: reorderData
+      .reduce((sum, item) => sum + (item.costComparison?.eoq.totalAnnualCost || 0), 0),
+    targetDaysAnnualCost: reorderData
+      .reduce((sum, item) => sum + (item.costComparison?.targetDays.totalAnnualCost || 0), 0)
   };
 
   // Urgency level component
@@ -82,14 +120,33 @@ const ReorderAnalysis = ({ reorderData, loading, onRefresh }) => {
       <div className="flex justify-between items-center">
         <div>
           <h2 className="text-2xl font-bold text-gray-900">🔄 Reorder Analysis</h2>
-          <p className="text-gray-600 mt-1">Intelligent stock level monitoring and reorder recommendations</p>
+          <p className="text-gray-600 mt-1">
+            Intelligent stock level monitoring and reorder recommendations
+            {reorderData[0]?.warehouse && ` for ${reorderData[0].warehouse.name}`}
+          </p>
+        </div>
+        <div className="flex space-x-3">
+          <button
+            onClick={() => exportAnalysis('csv')}
+            disabled={exporting}
+            className="bg-gray-100 hover:bg-gray-200 disabled:opacity-50 text-gray-800 px-4 py-2 rounded-lg font-medium transition-colors duration-200"
+          >
+            📤 Export CSV
+          </button>
+          <button
+            onClick={() => exportAnalysis('xlsx')}
+            disabled={exporting}
+            className="bg-gray-100 hover:bg-gray-200 disabled:opacity-50 text-gray-800 px-4 py-2 rounded-lg font-medium transition-colors duration-200"
+          >
+            📤 Export Excel
+          </button>
+          <button
+            onClick={onRefresh}
+            className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg font-medium transition-colors duration-200"
+          >
+            🔄 Refresh Analysis
+          </button>
         </div>
-        <button
-          onClick={onRefresh}
-          className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg font-medium transition-colors duration-200"
-        >
-          🔄 Refresh Analysis
-        </button>
       </div>
 
       {/* Summary Cards */}
@@ -137,6 +194,31 @@ const ReorderAnalysis = ({ reorderData, loading, onRefresh }) => {
         </div>
       </div>
 
+      {/* Annual Cost Comparison */}
+      <div className="bg-white rounded-xl shadow-lg p-6">
+        <h3 className="text-lg font-semibold text-gray-800 mb-4">💡 Annual Ordering + Holding Cost</h3>
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div className="text-center">
+            <div className="text-2xl font-bold text-gray-800">
+              ₹{summary.targetDaysAnnualCost.toLocaleString('en-US', {maximumFractionDigits: 0})}
+            </div>
+            <div className="text-sm text-gray-600">60-Day Top-Up Policy</div>
+          </div>
+          <div className="text-center">
+            <div className="text-2xl font-bold text-blue-600">
+              ₹{summary.eoqAnnualCost.toLocaleString('en-US', {maximumFractionDigits: 0})}
+            </div>
+            <div className="text-sm text-gray-600">Economic Order Quantity</div>
+          </div>
+          <div className="text-center">
+            <div className={`text-2xl font-bold ${summary.targetDaysAnnualCost >= summary.eoqAnnualCost ? 'text-green-600' : 'text-red-600'}`}>
+              ₹{(summary.targetDaysAnnualCost - summary.eoqAnnualCost).toLocaleString('en-US', {maximumFractionDigits: 0})}
+            </div>
+            <div className="text-sm text-gray-600">Yearly Savings with EOQ</div>
+          </div>
+        </div>
+      </div>
+
       {/* Filters and Sorting */}
       <div className="bg-white rounded-xl shadow-lg p-6">
         <div className="flex flex-wrap gap-4 items-center">
@@ -166,6 +248,32 @@ const ReorderAnalysis = ({ reorderData, loading, onRefresh }) => {
             </select>
           </div>
 
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Order Policy</label>
+            <select
+              value={analysisOptions.orderPolicy}
+              onChange={(e) => onAnalysisOptionsChange({ orderPolicy: e.target.value })}
+              className="border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            >
+              <option value="target-days">60-Day Top-Up</option>
+              <option value="eoq">Economic Order Quantity</option>
+            </select>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Demand Basis</label>
+            <select
+              value={analysisOptions.forecastModel}
+              onChange={(e) => onAnalysisOptionsChange({ forecastModel: e.target.value })}
+              className="border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            >
+              <option value="">Sales Average</option>
+              <option value="moving-average">Forecast: Moving Average</option>
+              <option value="exponential-smoothing">Forecast: Exponential Smoothing</option>
+              <option value="holt-winters">Forecast: Holt-Winters</option>
+            </select>
+          </div>
+
           <div className="ml-auto">
             <div className="text-sm text-gray-600">
               Showing {processedData.length} of {reorderData.length} products
@@ -221,18 +329,48 @@ const ReorderAnalysis = ({ reorderData, loading, onRefresh }) => {
                       <div>
                         <div className="text-sm font-medium text-gray-900">{item.name}</div>
                         <div className="text-sm text-gray-500">{item.productId}</div>
+                        {item.preferredSupplier && (
+                          <div className="text-xs text-blue-600">🏢 {item.preferredSupplier.name}</div>
+                        )}
                       </div>
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap">
                       <div className="text-sm text-gray-900">{item.currentStock} units</div>
+                      {(item.onOrderQuantity > 0 || item.reservedStock > 0) && (
+                        <div className="text-xs text-blue-600">
+                          +{item.onOrderQuantity} on order · −{item.reservedStock} reserved = {item.inventoryPosition} position
+                        </div>
+                      )}
+                      {item.nextExpectedArrival && (
+                        <div className="text-xs text-gray-500">
+                          🚚 Next arrival {new Date(item.nextExpectedArrival).toLocaleDateString()}
+                        </div>
+                      )}
                       <div className="text-sm text-gray-500">{item.averageDailySales}/day avg</div>
+                      <div className="text-xs text-gray-400">
+                        {item.averageDailySalesSource === 'forecast'
+                          ? `🔮 ${item.forecastModel} forecast`
+                          : item.averageDailySalesSource === 'sales-history'
+                            ? `📈 ${item.salesHistoryDays}-day sales history`
+                            : item.averageDailySalesSource === 'static-share'
+                              ? '✍️ Share of manual estimate'
+                              : '✍️ Manual estimate'}
+                      </div>
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap">
                       <div className="text-lg font-bold text-gray-900">
                         {item.daysRemaining === Infinity ? '∞' : item.daysRemaining}
                       </div>
+                      {item.daysOfCover !== item.daysRemaining && (
+                        <div className="text-xs text-blue-600">
+                          {item.daysOfCover === 'Unlimited' ? '∞' : item.daysOfCover} days incl. on order
+                        </div>
+                      )}
                       <div className="text-sm text-gray-500">
-                        Safety: {item.safetyThreshold} days
+                        Reorder at: {item.reorderPoint} units ({item.safetyThreshold} days)
+                      </div>
+                      <div className="text-xs text-gray-400">
+                        Safety stock {item.safetyStock} units @ {Math.round(item.serviceLevel * 1000) / 10}% service
                       </div>
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap">
@@ -246,16 +384,40 @@ const ReorderAnalysis = ({ reorderData, loading, onRefresh }) => {
                         {item.needsReorder ? `${item.optimalReorderQuantity} units` : 'N/A'}
                       </div>
                       <div className="text-sm text-gray-500">
-                        Min: {item.minimumReorderQuantity}
+                        Min: {item.effectiveMinimumOrderQuantity ?? item.minimumReorderQuantity}
+                        {item.maximumOrderQuantity && ` · Max: ${item.maximumOrderQuantity}`}
                       </div>
+                      {item.orderIncrement > 1 && (
+                        <div className="text-xs text-gray-400">
+                          📦 In steps of {item.orderIncrement}
+                          {item.packSize > 1 && item.needsReorder && ` (${item.optimalReorderQuantity / item.packSize} packs of ${item.packSize})`}
+                        </div>
+                      )}
+                      {item.economicOrderQuantity !== undefined && (
+                        <div className="text-xs text-gray-400">EOQ: {item.economicOrderQuantity} units</div>
+                      )}
+                      {item.suggestedTransferIn > 0 && (
+                        <div className="text-xs text-blue-600">🚚 {item.suggestedTransferIn} by transfer</div>
+                      )}
+                      {item.suggestedTransferOut > 0 && (
+                        <div className="text-xs text-gray-500">🚚 {item.suggestedTransferOut} to other sites</div>
+                      )}
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap">
                       <div className="text-sm font-semibold text-gray-900">
                         {item.needsReorder ? `₹${item.estimatedCost.toFixed(2)}` : 'N/A'}
                       </div>
                       <div className="text-sm text-gray-500">
-                        @₹{item.costPerUnit}/unit
+                        @₹{item.needsReorder && item.unitCost !== undefined ? item.unitCost : item.costPerUnit}/unit
                       </div>
+                      {item.needsReorder && item.unitCost < item.costPerUnit && (
+                        <div className="text-xs text-green-600">🏷️ Price break (list ₹{item.costPerUnit})</div>
+                      )}
+                      {item.costComparison && (
+                        <div className="text-xs text-gray-400">
+                          Yearly: ₹{item.costComparison.eoq.totalAnnualCost.toFixed(0)} EOQ vs ₹{item.costComparison.targetDays.totalAnnualCost.toFixed(0)} 60-day
+                        </div>
+                      )}
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap">
                       <CriticalityBadge level={item.criticality} />
@@ -288,8 +450,28 @@ const ReorderAnalysis = ({ reorderData, loading, onRefresh }) => {
               <div className="text-sm text-gray-600">Critical Priority Items</div>
             </div>
           </div>
+          {onCreatePurchaseOrders && (
+            <div className="mt-6 text-center">
+              <button
+                onClick={onCreatePurchaseOrders}
+                className="bg-green-600 hover:bg-green-700 text-white px-4 py-2 rounded-lg font-medium transition-colors duration-200"
+              >
+                🧾 Create Draft Purchase Orders
+              </button>
+            </div>
+          )}
         </div>
       )}
+
+      {/* Budget Planner */}
+      {summary.needsReorder > 0 && (
+        <BudgetPlan
+          totalReorderCost={summary.totalReorderCost}
+          warehouse={warehouse}
+          analysisOptions={analysisOptions}
+          reorderData={reorderData}
+        />
+      )}
     </div>
   );
 };
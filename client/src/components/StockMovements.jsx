@@ -0,0 +1,162 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+
+const API_BASE_URL = 'http://localhost:5000/api';
+
+const MOVEMENT_TYPES = [
+  { value: 'receipt', label: '📥 Receipt' },
+  { value: 'sale', label: '🛒 Sale' },
+  { value: 'adjustment', label: '⚖️ Adjustment' },
+  { value: 'damage', label: '💥 Damage' },
+  { value: 'return', label: '↩️ Return' },
+  { value: 'transfer', label: '🚚 Transfer' }
+];
+
+const typeColors = {
+  receipt: 'bg-green-100 text-green-800',
+  sale: 'bg-blue-100 text-blue-800',
+  adjustment: 'bg-purple-100 text-purple-800',
+  damage: 'bg-red-100 text-red-800',
+  return: 'bg-yellow-100 text-yellow-800',
+  transfer: 'bg-gray-100 text-gray-800'
+};
+
+const emptyForm = { type: 'receipt', quantity: '', reason: '' };
+
+const StockMovements = ({ product, warehouse, canPost, onStockChanged, showNotification }) => {
+  const [movements, setMovements] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [form, setForm] = useState(emptyForm);
+  const [submitting, setSubmitting] = useState(false);
+
+  // Fetch movement history for this product
+  const fetchMovements = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get(`${API_BASE_URL}/products/${product._id}/movements`, {
+        params: { limit: 20, warehouse: warehouse || undefined }
+      });
+      setMovements(response.data);
+    } catch (error) {
+      showNotification('Failed to fetch stock movements', 'error');
+      console.error('Error fetching stock movements:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [product._id, warehouse, showNotification]);
+
+  useEffect(() => {
+    fetchMovements();
+  }, [fetchMovements]);
+
+  // Post a new movement to the ledger
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!form.quantity || parseFloat(form.quantity) === 0) {
+      showNotification('Please enter a non-zero quantity', 'error');
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      await axios.post(`${API_BASE_URL}/products/${product._id}/movements`, {
+        type: form.type,
+        quantity: parseFloat(form.quantity),
+        reason: form.reason,
+        warehouse: warehouse || undefined
+      });
+      showNotification('Stock movement recorded!', 'success');
+      setForm(emptyForm);
+      onStockChanged();
+    } catch (error) {
+      showNotification(error.response?.data?.message || 'Failed to record stock movement', 'error');
+      console.error('Error recording stock movement:', error);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      {/* New Movement Form */}
+      {canPost && (
+        <form onSubmit={handleSubmit} className="space-y-2">
+          <div className="grid grid-cols-2 gap-2">
+            <select
+              value={form.type}
+              onChange={(e) => setForm(prev => ({ ...prev, type: e.target.value }))}
+              className="border border-gray-300 rounded-lg px-2 py-1 text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            >
+              {MOVEMENT_TYPES.map(type => (
+                <option key={type.value} value={type.value}>{type.label}</option>
+              ))}
+            </select>
+            <input
+              type="number"
+              value={form.quantity}
+              onChange={(e) => setForm(prev => ({ ...prev, quantity: e.target.value }))}
+              placeholder={['adjustment', 'transfer'].includes(form.type) ? '± Quantity' : 'Quantity'}
+              className="border border-gray-300 rounded-lg px-2 py-1 text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+          </div>
+          <div className="flex space-x-2">
+            <input
+              type="text"
+              value={form.reason}
+              onChange={(e) => setForm(prev => ({ ...prev, reason: e.target.value }))}
+              placeholder="Reason (optional)"
+              className="flex-1 border border-gray-300 rounded-lg px-2 py-1 text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+            <button
+              type="submit"
+              disabled={submitting}
+              className="bg-green-600 hover:bg-green-700 disabled:bg-gray-400 text-white px-3 py-1 rounded-lg text-sm font-medium transition-colors duration-200"
+            >
+              {submitting ? '⏳' : '➕ Post'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {/* Movement History */}
+      {loading ? (
+        <div className="flex justify-center py-4">
+          <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-blue-600"></div>
+        </div>
+      ) : movements.length === 0 ? (
+        <p className="text-sm text-gray-500 italic text-center py-4">No stock movements recorded yet</p>
+      ) : (
+        <div className="max-h-64 overflow-y-auto divide-y divide-gray-100">
+          {movements.map(movement => (
+            <div key={movement._id} className="py-2 flex justify-between items-start text-sm">
+              <div>
+                <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${typeColors[movement.type]}`}>
+                  {movement.type.toUpperCase()}
+                </span>
+                <div className="text-xs text-gray-500 mt-1">
+                  {new Date(movement.createdAt).toLocaleString()}
+                  {movement.warehouse && ` · 🏬 ${movement.warehouse.name}`}
+                </div>
+                {(movement.reason || movement.reference) && (
+                  <div className="text-xs text-gray-600 mt-0.5">
+                    {movement.reason || movement.reference}
+                  </div>
+                )}
+              </div>
+              <div className="text-right">
+                <div className={`font-semibold ${movement.quantity >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+                  {movement.quantity > 0 ? '+' : ''}{movement.quantity}
+                </div>
+                <div className="text-xs text-gray-500">
+                  Balance: {warehouse && movement.warehouseBalanceAfter !== undefined ? movement.warehouseBalanceAfter : movement.balanceAfter}
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default StockMovements;
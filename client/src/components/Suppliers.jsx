@@ -0,0 +1,477 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import PriceBreaksEditor from './PriceBreaksEditor';
+
+const API_BASE_URL = 'http://localhost:5000/api';
+
+const emptySupplier = {
+  supplierId: '',
+  name: '',
+  contactName: '',
+  email: '',
+  phone: '',
+  address: '',
+  defaultLeadTime: '',
+  active: true
+};
+
+const emptyLink = {
+  productId: '',
+  leadTime: '',
+  leadTimeStdDev: '',
+  costPerUnit: '',
+  minimumOrderQuantity: '',
+  priceBreaks: [],
+  preferred: false
+};
+
+const inputClass = 'w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+const Suppliers = ({ products, showNotification, onSuppliersChanged }) => {
+  const [suppliers, setSuppliers] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [selectedSupplier, setSelectedSupplier] = useState(null);
+  const [supplierForm, setSupplierForm] = useState(null);
+  const [linkForm, setLinkForm] = useState(emptyLink);
+
+  // Fetch supplier list
+  const fetchSuppliers = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get(`${API_BASE_URL}/suppliers`);
+      setSuppliers(response.data);
+    } catch (error) {
+      showNotification('Failed to fetch suppliers', 'error');
+      console.error('Error fetching suppliers:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [showNotification]);
+
+  // Fetch a supplier with its linked products
+  const selectSupplier = async (supplierId) => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/suppliers/${supplierId}`);
+      setSelectedSupplier(response.data);
+      setLinkForm(emptyLink);
+    } catch (error) {
+      showNotification('Failed to fetch supplier details', 'error');
+      console.error('Error fetching supplier:', error);
+    }
+  };
+
+  useEffect(() => {
+    fetchSuppliers();
+  }, [fetchSuppliers]);
+
+  // Create or update a supplier
+  const saveSupplier = async (e) => {
+    e.preventDefault();
+    if (!supplierForm.supplierId.trim() || !supplierForm.name.trim()) {
+      showNotification('Supplier ID and name are required', 'error');
+      return;
+    }
+
+    const payload = {
+      ...supplierForm,
+      defaultLeadTime: supplierForm.defaultLeadTime === '' ? undefined : parseInt(supplierForm.defaultLeadTime)
+    };
+
+    try {
+      if (supplierForm._id) {
+        await axios.put(`${API_BASE_URL}/suppliers/${supplierForm._id}`, payload);
+        showNotification('Supplier updated successfully!', 'success');
+      } else {
+        await axios.post(`${API_BASE_URL}/suppliers`, payload);
+        showNotification('Supplier added successfully!', 'success');
+      }
+      setSupplierForm(null);
+      fetchSuppliers();
+      if (selectedSupplier && selectedSupplier._id === supplierForm._id) {
+        selectSupplier(supplierForm._id);
+      }
+    } catch (error) {
+      if (error.response?.data?.message?.includes('duplicate key')) {
+        showNotification('Supplier ID already exists. Please use a unique ID.', 'error');
+      } else {
+        showNotification('Failed to save supplier', 'error');
+      }
+      console.error('Error saving supplier:', error);
+    }
+  };
+
+  // Delete a supplier
+  const deleteSupplier = async (supplier) => {
+    if (!window.confirm(`Delete ${supplier.name}? It will be unlinked from all products.`)) return;
+
+    try {
+      await axios.delete(`${API_BASE_URL}/suppliers/${supplier._id}`);
+      showNotification('Supplier deleted successfully!', 'success');
+      if (selectedSupplier?._id === supplier._id) setSelectedSupplier(null);
+      fetchSuppliers();
+      onSuppliersChanged();
+    } catch (error) {
+      showNotification('Failed to delete supplier', 'error');
+      console.error('Error deleting supplier:', error);
+    }
+  };
+
+  // Link the selected supplier to a product
+  const saveLink = async (e) => {
+    e.preventDefault();
+    const product = products.find(p => p.productId === linkForm.productId);
+    if (!product) {
+      showNotification('Please select a product', 'error');
+      return;
+    }
+
+    try {
+      await axios.post(`${API_BASE_URL}/products/${product._id}/suppliers`, {
+        supplier: selectedSupplier._id,
+        leadTime: linkForm.leadTime === '' ? undefined : parseFloat(linkForm.leadTime),
+        leadTimeStdDev: linkForm.leadTimeStdDev === '' ? undefined : parseFloat(linkForm.leadTimeStdDev),
+        costPerUnit: linkForm.costPerUnit === '' ? undefined : parseFloat(linkForm.costPerUnit),
+        minimumOrderQuantity: linkForm.minimumOrderQuantity === '' ? undefined : parseInt(linkForm.minimumOrderQuantity),
+        priceBreaks: linkForm.priceBreaks.filter(priceBreak => priceBreak.minQuantity !== '' && priceBreak.costPerUnit !== ''),
+        preferred: linkForm.preferred
+      });
+      showNotification('Product linked successfully!', 'success');
+      selectSupplier(selectedSupplier._id);
+      fetchSuppliers();
+      onSuppliersChanged();
+    } catch (error) {
+      showNotification('Failed to link product', 'error');
+      console.error('Error linking product:', error);
+    }
+  };
+
+  // Make the selected supplier the preferred one for a product
+  const setPreferred = async (link) => {
+    try {
+      await axios.post(`${API_BASE_URL}/products/${link._id}/suppliers`, {
+        supplier: selectedSupplier._id,
+        leadTime: link.leadTime,
+        leadTimeStdDev: link.leadTimeStdDev,
+        costPerUnit: link.costPerUnit,
+        minimumOrderQuantity: link.minimumOrderQuantity,
+        preferred: true
+      });
+      showNotification(`${selectedSupplier.name} is now preferred for ${link.name}`, 'success');
+      selectSupplier(selectedSupplier._id);
+      onSuppliersChanged();
+    } catch (error) {
+      showNotification('Failed to update preferred supplier', 'error');
+      console.error('Error updating preferred supplier:', error);
+    }
+  };
+
+  // Remove a product link
+  const unlinkProduct = async (link) => {
+    try {
+      await axios.delete(`${API_BASE_URL}/products/${link._id}/suppliers/${selectedSupplier._id}`);
+      showNotification('Product unlinked', 'success');
+      selectSupplier(selectedSupplier._id);
+      fetchSuppliers();
+      onSuppliersChanged();
+    } catch (error) {
+      showNotification('Failed to unlink product', 'error');
+      console.error('Error unlinking product:', error);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex justify-between items-center">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900">🏢 Suppliers</h2>
+          <p className="text-gray-600 mt-1">Manage vendors and compare their lead times and costs per product</p>
+        </div>
+        <button
+          onClick={() => setSupplierForm(emptySupplier)}
+          className="bg-green-600 hover:bg-green-700 text-white px-4 py-2 rounded-lg font-medium transition-colors duration-200"
+        >
+          ➕ Add Supplier
+        </button>
+      </div>
+
+      {/* Supplier Form */}
+      {supplierForm && (
+        <form onSubmit={saveSupplier} className="bg-white rounded-xl shadow-lg p-6 space-y-4">
+          <h3 className="text-lg font-semibold text-gray-800">
+            {supplierForm._id ? '✏️ Edit Supplier' : '➕ New Supplier'}
+          </h3>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            {[
+              { field: 'supplierId', label: 'Supplier ID', placeholder: 'e.g., SUP-004' },
+              { field: 'name', label: 'Name', placeholder: 'e.g., Acme Electronics' },
+              { field: 'contactName', label: 'Contact Name' },
+              { field: 'email', label: 'Email', type: 'email' },
+              { field: 'phone', label: 'Phone' },
+              { field: 'defaultLeadTime', label: 'Default Lead Time (days)', type: 'number' }
+            ].map(({ field, label, placeholder, type = 'text' }) => (
+              <div key={field}>
+                <label className="block text-sm font-medium text-gray-700 mb-1">{label}</label>
+                <input
+                  type={type}
+                  value={supplierForm[field] ?? ''}
+                  placeholder={placeholder}
+                  onChange={(e) => setSupplierForm(prev => ({ ...prev, [field]: e.target.value }))}
+                  className={inputClass}
+                />
+              </div>
+            ))}
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Address</label>
+            <input
+              type="text"
+              value={supplierForm.address ?? ''}
+              onChange={(e) => setSupplierForm(prev => ({ ...prev, address: e.target.value }))}
+              className={inputClass}
+            />
+          </div>
+          <label className="flex items-center space-x-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={supplierForm.active}
+              onChange={(e) => setSupplierForm(prev => ({ ...prev, active: e.target.checked }))}
+            />
+            <span>Active (inactive suppliers are never chosen for reorders)</span>
+          </label>
+          <div className="flex space-x-3">
+            <button
+              type="submit"
+              className="bg-green-600 hover:bg-green-700 text-white py-2 px-4 rounded-lg font-medium transition-colors duration-200"
+            >
+              ✅ Save
+            </button>
+            <button
+              type="button"
+              onClick={() => setSupplierForm(null)}
+              className="bg-gray-500 hover:bg-gray-600 text-white py-2 px-4 rounded-lg font-medium transition-colors duration-200"
+            >
+              ❌ Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        {/* Supplier List */}
+        <div className="space-y-4">
+          {suppliers.length === 0 ? (
+            <div className="bg-white rounded-xl shadow-lg text-center py-12">
+              <div className="text-6xl mb-4">🏢</div>
+              <h3 className="text-xl font-medium text-gray-900 mb-2">No Suppliers Found</h3>
+              <p className="text-gray-600">Load sample data or add your first supplier.</p>
+            </div>
+          ) : (
+            suppliers.map(supplier => (
+              <div
+                key={supplier._id}
+                onClick={() => selectSupplier(supplier._id)}
+                className={`bg-white rounded-xl shadow-lg p-4 cursor-pointer border-l-4 ${
+                  selectedSupplier?._id === supplier._id ? 'border-blue-600' : 'border-transparent hover:border-blue-300'
+                }`}
+              >
+                <div className="flex justify-between items-start">
+                  <div>
+                    <h3 className="font-bold text-gray-800">{supplier.name}</h3>
+                    <p className="text-sm text-gray-500">{supplier.supplierId}</p>
+                  </div>
+                  <span className={`px-2 py-1 rounded-full text-xs font-medium ${
+                    supplier.active ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-600'
+                  }`}>
+                    {supplier.active ? 'ACTIVE' : 'INACTIVE'}
+                  </span>
+                </div>
+                <div className="mt-2 text-sm text-gray-600 space-y-1">
+                  {supplier.contactName && <div>👤 {supplier.contactName}</div>}
+                  {supplier.email && <div>✉️ {supplier.email}</div>}
+                  <div>📦 {supplier.productCount} linked products</div>
+                </div>
+                <div className="flex space-x-2 mt-3">
+                  <button
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      setSupplierForm({ ...emptySupplier, ...supplier });
+                    }}
+                    className="flex-1 bg-blue-600 hover:bg-blue-700 text-white py-1 px-3 rounded-lg text-sm font-medium transition-colors duration-200"
+                  >
+                    ✏️ Edit
+                  </button>
+                  <button
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      deleteSupplier(supplier);
+                    }}
+                    className="flex-1 bg-red-600 hover:bg-red-700 text-white py-1 px-3 rounded-lg text-sm font-medium transition-colors duration-200"
+                  >
+                    🗑️ Delete
+                  </button>
+                </div>
+              </div>
+            ))
+          )}
+        </div>
+
+        {/* Supplier Products */}
+        <div className="lg:col-span-2">
+          {!selectedSupplier ? (
+            <div className="bg-white rounded-xl shadow-lg text-center py-12">
+              <div className="text-6xl mb-4">🔗</div>
+              <p className="text-gray-600">Select a supplier to see and manage the products it supplies.</p>
+            </div>
+          ) : (
+            <div className="bg-white rounded-xl shadow-lg overflow-hidden">
+              <div className="px-6 py-4 border-b border-gray-200">
+                <h3 className="text-lg font-semibold text-gray-800">🔗 Products from {selectedSupplier.name}</h3>
+              </div>
+
+              {selectedSupplier.products.length === 0 ? (
+                <p className="text-gray-500 italic text-center py-8">No products linked yet</p>
+              ) : (
+                <div className="overflow-x-auto">
+                  <table className="min-w-full divide-y divide-gray-200">
+                    <thead className="bg-gray-50">
+                      <tr>
+                        {['Product', 'Lead Time', 'Unit Cost', 'Min Order', 'Price Breaks', 'Preferred', ''].map(heading => (
+                          <th key={heading} className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                            {heading}
+                          </th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody className="bg-white divide-y divide-gray-200">
+                      {selectedSupplier.products.map(link => (
+                        <tr key={link._id} className="hover:bg-gray-50">
+                          <td className="px-4 py-3 whitespace-nowrap">
+                            <div className="text-sm font-medium text-gray-900">{link.name}</div>
+                            <div className="text-sm text-gray-500">{link.productId}</div>
+                          </td>
+                          <td className="px-4 py-3 text-sm text-gray-900">
+                            {link.leadTime} days
+                            {link.leadTimeStdDev > 0 && <span className="text-gray-500"> ±{link.leadTimeStdDev}</span>}
+                          </td>
+                          <td className="px-4 py-3 text-sm text-gray-900">₹{link.costPerUnit}</td>
+                          <td className="px-4 py-3 text-sm text-gray-900">{link.minimumOrderQuantity}</td>
+                          <td className="px-4 py-3 text-xs text-gray-600">
+                            {link.priceBreaks?.length > 0
+                              ? link.priceBreaks.map(priceBreak => (
+                                  <div key={priceBreak.minQuantity}>{priceBreak.minQuantity}+ @ ₹{priceBreak.costPerUnit}</div>
+                                ))
+                              : '—'}
+                          </td>
+                          <td className="px-4 py-3 text-sm">
+                            {link.preferred ? (
+                              <span className="px-2 py-1 rounded-full text-xs font-medium bg-blue-100 text-blue-800">⭐ PREFERRED</span>
+                            ) : (
+                              <button
+                                onClick={() => setPreferred(link)}
+                                className="text-blue-600 hover:text-blue-800 text-xs underline"
+                              >
+                                Make preferred
+                              </button>
+                            )}
+                          </td>
+                          <td className="px-4 py-3 text-sm">
+                            <button
+                              onClick={() => unlinkProduct(link)}
+                              className="text-red-600 hover:text-red-800 text-xs underline"
+                            >
+                              Unlink
+                            </button>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+
+              {/* Link Product Form */}
+              <form onSubmit={saveLink} className="p-6 border-t border-gray-200 space-y-4">
+                <h4 className="font-medium text-gray-800">➕ Link a Product</h4>
+                <div className="grid grid-cols-1 md:grid-cols-5 gap-3">
+                  <select
+                    value={linkForm.productId}
+                    onChange={(e) => setLinkForm(prev => ({ ...prev, productId: e.target.value }))}
+                    className={`md:col-span-5 ${inputClass}`}
+                  >
+                    <option value="">Choose a product...</option>
+                    {products.map(product => (
+                      <option key={product.productId} value={product.productId}>
+                        {product.name} (ID: {product.productId})
+                      </option>
+                    ))}
+                  </select>
+                  <input
+                    type="number"
+                    placeholder="Lead time (days)"
+                    value={linkForm.leadTime}
+                    onChange={(e) => setLinkForm(prev => ({ ...prev, leadTime: e.target.value }))}
+                    className={inputClass}
+                  />
+                  <input
+                    type="number"
+                    step="0.1"
+                    min="0"
+                    placeholder="Lead time ± (days)"
+                    value={linkForm.leadTimeStdDev}
+                    onChange={(e) => setLinkForm(prev => ({ ...prev, leadTimeStdDev: e.target.value }))}
+                    className={inputClass}
+                  />
+                  <input
+                    type="number"
+                    step="0.01"
+                    placeholder="Unit cost (₹)"
+                    value={linkForm.costPerUnit}
+                    onChange={(e) => setLinkForm(prev => ({ ...prev, costPerUnit: e.target.value }))}
+                    className={inputClass}
+                  />
+                  <input
+                    type="number"
+                    placeholder="Min order qty"
+                    value={linkForm.minimumOrderQuantity}
+                    onChange={(e) => setLinkForm(prev => ({ ...prev, minimumOrderQuantity: e.target.value }))}
+                    className={inputClass}
+                  />
+                  <label className="flex items-center space-x-2 text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={linkForm.preferred}
+                      onChange={(e) => setLinkForm(prev => ({ ...prev, preferred: e.target.checked }))}
+                    />
+                    <span>Preferred</span>
+                  </label>
+                </div>
+                <PriceBreaksEditor
+                  priceBreaks={linkForm.priceBreaks}
+                  onChange={(priceBreaks) => setLinkForm(prev => ({ ...prev, priceBreaks }))}
+                  listPrice={linkForm.costPerUnit}
+                />
+                <button
+                  type="submit"
+                  className="bg-blue-600 hover:bg-blue-700 text-white py-2 px-4 rounded-lg font-medium transition-colors duration-200"
+                >
+                  🔗 Save Link
+                </button>
+              </form>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Suppliers;
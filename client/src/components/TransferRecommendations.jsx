@@ -0,0 +1,156 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+
+const API_BASE_URL = 'http://localhost:5000/api';
+
+const formatDays = (days) => (days === 'Unlimited' ? '∞' : `${days}d`);
+
+const TransferRecommendations = ({ showNotification, onStockChanged }) => {
+  const [recommendations, setRecommendations] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [accepting, setAccepting] = useState(null);
+
+  // Fetch suggested transfers for the whole network
+  const fetchRecommendations = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get(`${API_BASE_URL}/transfer-recommendations`);
+      setRecommendations(response.data);
+    } catch (error) {
+      showNotification('Failed to fetch transfer recommendations', 'error');
+      console.error('Error fetching transfer recommendations:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [showNotification]);
+
+  useEffect(() => {
+    fetchRecommendations();
+  }, [fetchRecommendations]);
+
+  // Post the paired stock movements for a suggestion
+  const acceptRecommendation = async (recommendation, key) => {
+    try {
+      setAccepting(key);
+      const response = await axios.post(`${API_BASE_URL}/transfers`, {
+        productId: recommendation.productId,
+        fromWarehouse: recommendation.fromWarehouse._id,
+        toWarehouse: recommendation.toWarehouse._id,
+        quantity: recommendation.quantity
+      });
+      showNotification(
+        `${response.data.reference}: ${recommendation.quantity} × ${recommendation.name} to ${recommendation.toWarehouse.name}`,
+        'success'
+      );
+      fetchRecommendations();
+      onStockChanged();
+    } catch (error) {
+      showNotification(error.response?.data?.message || 'Failed to transfer stock', 'error');
+      console.error('Error transferring stock:', error);
+    } finally {
+      setAccepting(null);
+    }
+  };
+
+  const totalAvoided = recommendations.reduce((sum, recommendation) => sum + recommendation.purchaseCostAvoided, 0);
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex justify-between items-center">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900">🚚 Transfer Recommendations</h2>
+          <p className="text-gray-600 mt-1">Rebalance surplus stock between warehouses before buying more</p>
+        </div>
+        <button
+          onClick={fetchRecommendations}
+          className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg font-medium transition-colors duration-200"
+        >
+          🔄 Refresh
+        </button>
+      </div>
+
+      {recommendations.length === 0 ? (
+        <div className="bg-white rounded-xl shadow-lg text-center py-12">
+          <div className="text-6xl mb-4">✅</div>
+          <h3 className="text-xl font-medium text-gray-900 mb-2">Nothing to Rebalance</h3>
+          <p className="text-gray-600">No warehouse has surplus stock another one is short of.</p>
+        </div>
+      ) : (
+        <>
+          <div className="bg-green-50 border border-green-200 rounded-xl p-4 text-green-800">
+            {recommendations.length} transfer(s) would avoid ₹{totalAvoided.toLocaleString('en-US', { maximumFractionDigits: 2 })} of purchases
+          </div>
+
+          <div className="bg-white rounded-xl shadow-lg overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  {['Product', 'From', 'To', 'Quantity', 'Arrives', 'Purchase Avoided', ''].map(heading => (
+                    <th key={heading} className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      {heading}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {recommendations.map(recommendation => {
+                  const key = `${recommendation.productId}-${recommendation.fromWarehouse._id}-${recommendation.toWarehouse._id}`;
+                  return (
+                    <tr key={key}>
+                      <td className="px-4 py-3 whitespace-nowrap">
+                        <div className="text-sm font-medium text-gray-900">{recommendation.name}</div>
+                        <div className="text-xs text-gray-500">{recommendation.productId}</div>
+                      </td>
+                      <td className="px-4 py-3 whitespace-nowrap text-sm">
+                        <div className="font-medium">🏬 {recommendation.fromWarehouse.name}</div>
+                        <div className="text-xs text-gray-500">
+                          {formatDays(recommendation.fromDaysOfCover)} → {formatDays(recommendation.fromDaysOfCoverAfter)} cover
+                        </div>
+                      </td>
+                      <td className="px-4 py-3 whitespace-nowrap text-sm">
+                        <div className="font-medium">🏬 {recommendation.toWarehouse.name}</div>
+                        <div className="text-xs text-gray-500">
+                          {formatDays(recommendation.toDaysOfCover)} → {formatDays(recommendation.toDaysOfCoverAfter)} cover
+                        </div>
+                      </td>
+                      <td className="px-4 py-3 whitespace-nowrap text-sm font-semibold">{recommendation.quantity}</td>
+                      <td className="px-4 py-3 whitespace-nowrap text-sm">
+                        <div>{new Date(recommendation.expectedArrival).toLocaleDateString()}</div>
+                        <div className="text-xs text-gray-500">
+                          {recommendation.transferLeadTime}d vs {recommendation.supplierLeadTime}d from supplier
+                        </div>
+                      </td>
+                      <td className="px-4 py-3 whitespace-nowrap text-sm text-green-600 font-medium">
+                        ₹{recommendation.purchaseCostAvoided.toLocaleString('en-US', { maximumFractionDigits: 2 })}
+                      </td>
+                      <td className="px-4 py-3 whitespace-nowrap text-right">
+                        <button
+                          onClick={() => acceptRecommendation(recommendation, key)}
+                          disabled={accepting !== null}
+                          className="bg-green-600 hover:bg-green-700 disabled:bg-gray-400 text-white px-3 py-1 rounded-lg text-sm font-medium transition-colors duration-200"
+                        >
+                          {accepting === key ? 'Moving...' : '✅ Accept'}
+                        </button>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default TransferRecommendations;
@@ -0,0 +1,165 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import { ComposedChart, Area, Bar, Line, XAxis, YAxis, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+
+const API_BASE_URL = 'http://localhost:5000/api';
+
+const rangeOptions = [
+  { value: 30, label: 'Last 30 days' },
+  { value: 90, label: 'Last 90 days' },
+  { value: 365, label: 'Last year' }
+];
+
+const formatRupees = (value) => `₹${value.toLocaleString('en-US', { maximumFractionDigits: 0 })}`;
+
+// Compact axis labels for large rupee amounts, e.g. ₹12.5L
+const formatRupeesShort = (value) => {
+  if (value >= 10000000) return `₹${(value / 10000000).toFixed(1)}Cr`;
+  if (value >= 100000) return `₹${(value / 100000).toFixed(1)}L`;
+  if (value >= 1000) return `₹${(value / 1000).toFixed(0)}k`;
+  return `₹${value}`;
+};
+
+// 'YYYY-MM-DD' in local time, matching the server's snapshot days
+const toDay = (date) => [
+  date.getFullYear(),
+  String(date.getMonth() + 1).padStart(2, '0'),
+  String(date.getDate()).padStart(2, '0')
+].join('-');
+
+const ChartCard = ({ title, subtitle, children }) => (
+  <div className="bg-gray-50 rounded-lg p-4">
+    <h3 className="font-semibold text-gray-700">{title}</h3>
+    <p className="text-xs text-gray-500 mb-2">{subtitle}</p>
+    <div style={{ height: 200 }}>
+      <ResponsiveContainer width="100%" height="100%">
+        {children}
+      </ResponsiveContainer>
+    </div>
+  </div>
+);
+
+// Stock value, products needing reorder and days of cover from the nightly analysis snapshots
+const TrendCharts = ({ warehouse }) => {
+  const [rangeDays, setRangeDays] = useState(30);
+  const [trends, setTrends] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const fetchTrends = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get(`${API_BASE_URL}/analytics/trends`, {
+        params: {
+          from: toDay(new Date(Date.now() - (rangeDays - 1) * 24 * 60 * 60 * 1000)),
+          to: toDay(new Date()),
+          warehouse: warehouse || undefined
+        }
+      });
+      setTrends(response.data);
+    } catch (error) {
+      setTrends(null);
+      console.error('Error fetching trends:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [warehouse, rangeDays]);
+
+  useEffect(() => {
+    fetchTrends();
+  }, [fetchTrends]);
+
+  const days = trends ? trends.days : [];
+  const first = days[0];
+  const last = days[days.length - 1];
+  // Lines need dots to show up when there is only one day
+  const singleDay = days.length === 1;
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6">
+      <div className="flex flex-wrap justify-between items-center gap-4 mb-4">
+        <div>
+          <h2 className="text-xl font-bold text-gray-800">📈 Trends</h2>
+          <p className="text-sm text-gray-600">
+            {trends?.warehouse ? trends.warehouse.name : 'All warehouses'}, from the nightly reorder analysis
+          </p>
+        </div>
+        <select
+          value={rangeDays}
+          onChange={(e) => setRangeDays(parseInt(e.target.value))}
+          className="border border-gray-300 rounded-lg px-3 py-2 text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+        >
+          {rangeOptions.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+      </div>
+
+      {loading && !trends ? (
+        <div className="flex justify-center items-center h-40">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+        </div>
+      ) : days.length === 0 ? (
+        <p className="text-gray-500 italic text-center py-8">
+          No snapshots in this range yet. They are saved each night by the reorder-analysis job.
+        </p>
+      ) : (
+        <div className={`space-y-4 ${loading ? 'opacity-50' : ''}`}>
+          {days.length > 1 && (
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4 text-sm text-gray-600">
+              <div>
+                Stock value: <span className="font-medium text-gray-900">{formatRupees(last.stockValue)}</span>
+                <span className={last.stockValue >= first.stockValue ? 'text-green-600' : 'text-red-600'}>
+                  {' '}({last.stockValue >= first.stockValue ? '+' : '−'}{formatRupees(Math.abs(last.stockValue - first.stockValue))} since {first.day})
+                </span>
+              </div>
+              <div>
+                Needing reorder: <span className="font-medium text-gray-900">{last.needsReorder}</span>
+                <span className="text-gray-500"> (was {first.needsReorder} on {first.day})</span>
+              </div>
+              <div>
+                Median days of cover: <span className="font-medium text-gray-900">{last.medianDaysOfCover ?? '—'}</span>
+                <span className="text-gray-500"> (was {first.medianDaysOfCover ?? '—'})</span>
+              </div>
+            </div>
+          )}
+
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
+            <ChartCard title="💰 Stock Value" subtitle="Stock on hand at the reorder unit cost">
+              <ComposedChart data={days} margin={{ top: 5, right: 5, bottom: 0, left: 0 }}>
+                <XAxis dataKey="day" tick={{ fontSize: 10 }} interval="preserveStartEnd" />
+                <YAxis tick={{ fontSize: 10 }} tickFormatter={formatRupeesShort} width={55} />
+                <Tooltip formatter={(value) => formatRupees(value)} />
+                <Area dataKey="stockValue" name="Stock value" stroke="#16a34a" fill="#bbf7d0" dot={singleDay} isAnimationActive={false} />
+              </ComposedChart>
+            </ChartCard>
+
+            <ChartCard title="⚠️ Products Needing Reorder" subtitle="At or below their reorder point, and how many are high criticality">
+              <ComposedChart data={days} margin={{ top: 5, right: 5, bottom: 0, left: -20 }}>
+                <XAxis dataKey="day" tick={{ fontSize: 10 }} interval="preserveStartEnd" />
+                <YAxis tick={{ fontSize: 10 }} allowDecimals={false} />
+                <Tooltip />
+                <Legend wrapperStyle={{ fontSize: 11 }} />
+                <Bar dataKey="needsReorder" name="Need reorder" fill="#f87171" isAnimationActive={false} />
+                <Line dataKey="criticalNeedsReorder" name="High criticality" stroke="#b91c1c" dot={singleDay} isAnimationActive={false} />
+                <Line dataKey="outOfStock" name="Out of stock" stroke="#6b7280" strokeDasharray="4 4" dot={singleDay} isAnimationActive={false} />
+              </ComposedChart>
+            </ChartCard>
+
+            <ChartCard title="📅 Days of Cover" subtitle="Inventory position in days of demand, for products with sales">
+              <ComposedChart data={days} margin={{ top: 5, right: 5, bottom: 0, left: -20 }}>
+                <XAxis dataKey="day" tick={{ fontSize: 10 }} interval="preserveStartEnd" />
+                <YAxis tick={{ fontSize: 10 }} />
+                <Tooltip />
+                <Legend wrapperStyle={{ fontSize: 11 }} />
+                <Line dataKey="medianDaysOfCover" name="Median" stroke="#2563eb" strokeWidth={2} dot={singleDay} isAnimationActive={false} />
+                <Line dataKey="averageDaysOfCover" name="Average" stroke="#93c5fd" dot={singleDay} isAnimationActive={false} />
+              </ComposedChart>
+            </ChartCard>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TrendCharts;
@@ -0,0 +1,203 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+
+const API_BASE_URL = 'http://localhost:5000/api';
+
+const roleOptions = [
+  { value: 'viewer', label: 'Viewer', description: 'Read-only access' },
+  { value: 'buyer', label: 'Buyer', description: 'Suppliers and purchase orders' },
+  { value: 'inventory_manager', label: 'Inventory Manager', description: 'Products, stock, sales and warehouses' },
+  { value: 'admin', label: 'Admin', description: 'Everything, including users and deleting products' }
+];
+
+const emptyForm = { username: '', name: '', role: 'viewer', password: '' };
+
+const Users = ({ currentUser, showNotification }) => {
+  const [users, setUsers] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [form, setForm] = useState(emptyForm);
+
+  // Fetch all user accounts
+  const fetchUsers = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get(`${API_BASE_URL}/users`);
+      setUsers(response.data);
+    } catch (error) {
+      showNotification('Failed to fetch users', 'error');
+      console.error('Error fetching users:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [showNotification]);
+
+  useEffect(() => {
+    fetchUsers();
+  }, [fetchUsers]);
+
+  // Create a new account
+  const createUser = async (e) => {
+    e.preventDefault();
+    try {
+      await axios.post(`${API_BASE_URL}/users`, form);
+      showNotification(`User ${form.username} created`, 'success');
+      setForm(emptyForm);
+      fetchUsers();
+    } catch (error) {
+      showNotification(error.response?.data?.message || 'Failed to create user', 'error');
+      console.error('Error creating user:', error);
+    }
+  };
+
+  // Change a user's role, active flag or password
+  const updateUser = async (user, changes, successMessage) => {
+    try {
+      const response = await axios.put(`${API_BASE_URL}/users/${user._id}`, changes);
+      setUsers(prev => prev.map(entry => (entry._id === user._id ? response.data : entry)));
+      showNotification(successMessage, 'success');
+    } catch (error) {
+      showNotification(error.response?.data?.message || 'Failed to update user', 'error');
+      console.error('Error updating user:', error);
+    }
+  };
+
+  const resetPassword = (user) => {
+    const password = window.prompt(`New password for ${user.username} (at least 8 characters)`);
+    if (password) updateUser(user, { password }, `Password reset for ${user.username}`);
+  };
+
+  const deleteUser = async (user) => {
+    if (!window.confirm(`Delete user ${user.username}?`)) return;
+    try {
+      await axios.delete(`${API_BASE_URL}/users/${user._id}`);
+      showNotification('User deleted', 'success');
+      fetchUsers();
+    } catch (error) {
+      showNotification(error.response?.data?.message || 'Failed to delete user', 'error');
+      console.error('Error deleting user:', error);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div>
+        <h2 className="text-2xl font-bold text-gray-900">👥 Users</h2>
+        <p className="text-gray-600 mt-1">Manage who can sign in and what their role allows</p>
+      </div>
+
+      {/* New User */}
+      <form onSubmit={createUser} className="bg-white rounded-xl shadow-lg p-6 grid grid-cols-1 md:grid-cols-5 gap-3 items-end">
+        {[
+          { field: 'username', label: 'Username', type: 'text' },
+          { field: 'name', label: 'Full Name', type: 'text' },
+          { field: 'password', label: 'Password', type: 'password' }
+        ].map(({ field, label, type }) => (
+          <div key={field}>
+            <label className="block text-sm font-medium text-gray-700 mb-1">{label}</label>
+            <input
+              type={type}
+              value={form[field]}
+              onChange={(e) => setForm(prev => ({ ...prev, [field]: e.target.value }))}
+              className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+          </div>
+        ))}
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Role</label>
+          <select
+            value={form.role}
+            onChange={(e) => setForm(prev => ({ ...prev, role: e.target.value }))}
+            className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          >
+            {roleOptions.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+        <button
+          type="submit"
+          disabled={!form.username || !form.name || !form.password}
+          className="bg-green-600 hover:bg-green-700 disabled:bg-gray-400 text-white px-4 py-2 rounded-lg font-medium transition-colors duration-200"
+        >
+          ➕ Add User
+        </button>
+      </form>
+
+      {/* User List */}
+      <div className="bg-white rounded-xl shadow-lg overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              {['User', 'Role', 'Last Sign In', 'Status', ''].map(heading => (
+                <th key={heading} className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  {heading}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {users.map(user => {
+              const isSelf = user._id === currentUser._id;
+              return (
+                <tr key={user._id} className={user.active ? '' : 'opacity-50'}>
+                  <td className="px-4 py-3 whitespace-nowrap">
+                    <div className="text-sm font-medium text-gray-900">{user.name}{isSelf && ' (you)'}</div>
+                    <div className="text-xs text-gray-500">{user.username}</div>
+                  </td>
+                  <td className="px-4 py-3 whitespace-nowrap">
+                    <select
+                      value={user.role}
+                      disabled={isSelf}
+                      onChange={(e) => updateUser(user, { role: e.target.value }, `${user.username} is now ${e.target.value.replace('_', ' ')}`)}
+                      title={roleOptions.find(option => option.value === user.role)?.description}
+                      className="border border-gray-300 rounded-lg px-2 py-1 text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    >
+                      {roleOptions.map(option => (
+                        <option key={option.value} value={option.value}>{option.label}</option>
+                      ))}
+                    </select>
+                  </td>
+                  <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-500">
+                    {user.lastLoginAt ? new Date(user.lastLoginAt).toLocaleString() : 'Never'}
+                  </td>
+                  <td className="px-4 py-3 whitespace-nowrap text-sm">
+                    {user.active ? '✅ Active' : '⏸️ Disabled'}
+                  </td>
+                  <td className="px-4 py-3 whitespace-nowrap text-right space-x-3 text-sm">
+                    <button onClick={() => resetPassword(user)} className="text-blue-600 hover:text-blue-800">
+                      Reset Password
+                    </button>
+                    {!isSelf && (
+                      <>
+                        <button
+                          onClick={() => updateUser(user, { active: !user.active }, `${user.username} ${user.active ? 'disabled' : 'enabled'}`)}
+                          className="text-gray-600 hover:text-gray-800"
+                        >
+                          {user.active ? 'Disable' : 'Enable'}
+                        </button>
+                        <button onClick={() => deleteUser(user)} className="text-red-600 hover:text-red-800">
+                          Delete
+                        </button>
+                      </>
+                    )}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default Users;
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildBudgetPlan } = require('../server');
+
+const analysisRow = (fields) => ({
+  _id: fields.productId,
+  name: fields.productId,
+  needsReorder: true,
+  optimalReorderQuantity: 50,
+  averageDailySales: 5,
+  reorderPoint: 40,
+  inventoryPosition: 10,
+  daysOfCover: 2,
+  supplierLeadTime: 7,
+  unitCost: 10,
+  costPerUnit: 10,
+  effectiveMinimumOrderQuantity: 10,
+  packSize: 1,
+  orderMultiple: 1,
+  priceBreaks: [],
+  estimatedCost: 500,
+  ...fields
+});
+const analysis = [
+  analysisRow({ productId: 'LOW', criticality: 'low' }),
+  analysisRow({ productId: 'HIGH', criticality: 'high' })
+];
+
+test('buildBudgetPlan funds everything a large enough budget covers', () => {
+  const plan = buildBudgetPlan(analysis, 1000);
+  assert.equal(plan.totalRequired, 1000);
+  assert.equal(plan.plannedCost, 1000);
+  assert.deepEqual(plan.plan.map(item => [item.productId, item.status]), [['HIGH', 'full'], ['LOW', 'full']]);
+  assert.deepEqual(plan.deferred, []);
+  assert.equal(plan.riskReduction.percent, 100);
+});
+
+test('buildBudgetPlan funds the riskiest protective stock first and defers the rest', () => {
+  const plan = buildBudgetPlan(analysis, 300);
+  assert.equal(plan.plannedCost, 300);
+  assert.equal(plan.remainingBudget, 0);
+  assert.deepEqual(plan.plan.map(item => [item.productId, item.plannedQuantity, item.status]), [['HIGH', 30, 'partial']]);
+  assert.deepEqual(plan.deferred.map(item => [item.productId, item.deferredQuantity]), [['LOW', 50], ['HIGH', 20]]);
+});
+
+test('buildBudgetPlan plans nothing without a budget', () => {
+  const plan = buildBudgetPlan(analysis, 0);
+  assert.deepEqual(plan.plan, []);
+  assert.equal(plan.deferredCost, 1000);
+  assert.equal(plan.riskReduction.percent, 0);
+});
+
+test('buildBudgetPlan never cuts an order below its minimum quantity', () => {
+  const plan = buildBudgetPlan([analysisRow({ productId: 'MOQ', criticality: 'high', effectiveMinimumOrderQuantity: 40 })], 300);
+  assert.deepEqual(plan.plan, []);
+  assert.equal(plan.remainingBudget, 300);
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildDemandForecast, resolveForecastDemand } = require('../server');
+
+const steady = new Array(20).fill(5);
+// Four weeks of quiet weekdays and busy weekends
+const weekly = Array.from({ length: 28 }, (_, day) => [2, 2, 2, 2, 2, 8, 8][day % 7]);
+
+test('moving-average and exponential-smoothing forecast a steady series at its level', () => {
+  for (const model of ['moving-average', 'exponential-smoothing']) {
+    const forecast = buildDemandForecast(steady, { model, horizon: 30 });
+    assert.equal(forecast.points.length, 30);
+    assert.equal(forecast.averageDailyForecast, 5);
+    assert.equal(forecast.residualStdDev, 0);
+    assert.deepEqual(forecast.points[29], { ...forecast.points[29], forecast: 5, lower: 5, upper: 5 });
+  }
+});
+
+test('moving-average averages the last window of days', () => {
+  const forecast = buildDemandForecast([1, 1, 1, 1, 4, 4, 4], { model: 'moving-average', horizon: 1, parameters: { window: 3 } });
+  assert.equal(forecast.points[0].forecast, 4);
+  assert.deepEqual(forecast.parameters, { window: 3 });
+});
+
+test('forecast bands widen with the horizon and never go below zero', () => {
+  const noisy = [3, 9, 1, 7, 2, 8, 0, 6, 4, 10];
+  const { points } = buildDemandForecast(noisy, { model: 'exponential-smoothing', horizon: 10 });
+  assert.ok(points[9].upper - points[9].lower > points[0].upper - points[0].lower);
+  points.forEach(point => assert.ok(point.lower >= 0 && point.lower <= point.forecast && point.forecast <= point.upper));
+});
+
+test('holt-winters carries the weekly season forward', () => {
+  const forecast = buildDemandForecast(weekly, { model: 'holt-winters', horizon: 14 });
+  assert.deepEqual(forecast.points.map(point => point.forecast), [...[2, 2, 2, 2, 2, 8, 8], ...[2, 2, 2, 2, 2, 8, 8]]);
+  assert.equal(forecast.averageDailyForecast, 3.71);
+});
+
+test('holt-winters needs two full seasons of history', () => {
+  assert.throws(() => buildDemandForecast(weekly.slice(0, 13), { model: 'holt-winters' }), { status: 400 });
+});
+
+test('a forecast needs some sales history', () => {
+  assert.throws(() => buildDemandForecast([], {}), { status: 400 });
+  assert.throws(() => buildDemandForecast(undefined, {}), { status: 400 });
+});
+
+test('resolveForecastDemand uses the forecast when there is enough history', () => {
+  const product = { _id: 'p1', averageDailySales: 1 };
+  const demand = resolveForecastDemand(product, new Map([['p1', steady]]), new Map(), { model: 'moving-average', horizon: 30 });
+  assert.deepEqual(demand, { averageDailySales: 5, demandStdDev: 0, source: 'forecast', historyDays: 20 });
+});
+
+test('resolveForecastDemand falls back to the sales average without enough history', () => {
+  const product = { _id: 'p1', averageDailySales: 4 };
+  const series = new Map([['p1', weekly.slice(0, 10)]]);
+  const salesStats = new Map([['p1', { averageDailySales: 3.5, demandStdDev: 1.25, effectiveDays: 10 }]]);
+  assert.deepEqual(
+    resolveForecastDemand(product, series, salesStats, { model: 'holt-winters', horizon: 30 }),
+    { averageDailySales: 3.5, demandStdDev: 1.25, source: 'sales-history', historyDays: 10 }
+  );
+  assert.equal(resolveForecastDemand(product, new Map(), new Map(), { model: 'moving-average', horizon: 30 }).source, 'static');
+});
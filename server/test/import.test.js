@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCsv } = require('../server');
+
+test('parseCsv splits rows and cells', () => {
+  assert.deepEqual(parseCsv('productId,name\nP-1,Cable\n'), [
+    { cells: ['productId', 'name'], line: 1 },
+    { cells: ['P-1', 'Cable'], line: 2 }
+  ]);
+});
+
+test('parseCsv keeps commas, escaped quotes and line breaks inside quoted cells', () => {
+  assert.deepEqual(parseCsv('id,name\r\nP-1,"Cable, 2m ""braided"""\r\nP-2,"Two\nlines"\r\nP-3,Plug'), [
+    { cells: ['id', 'name'], line: 1 },
+    { cells: ['P-1', 'Cable, 2m "braided"'], line: 2 },
+    { cells: ['P-2', 'Two\nlines'], line: 3 },
+    { cells: ['P-3', 'Plug'], line: 5 }
+  ]);
+});
+
+test('parseCsv drops a byte order mark and blank rows', () => {
+  assert.deepEqual(parseCsv('\uFEFFid\n\n , \nP-1'), [
+    { cells: ['id'], line: 1 },
+    { cells: ['P-1'], line: 4 }
+  ]);
+});
+
+test('parseCsv keeps empty cells', () => {
+  assert.deepEqual(parseCsv('a,,c,'), [{ cells: ['a', '', 'c', ''], line: 1 }]);
+});
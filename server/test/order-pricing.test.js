@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { roundOrderQuantity, priceOrder } = require('../server');
+
+test('roundOrderQuantity rounds up to whole packs that are also order multiples', () => {
+  assert.equal(roundOrderQuantity(7, { packSize: 6, orderMultiple: 4 }), 12);
+  assert.equal(roundOrderQuantity(13, { packSize: 6, orderMultiple: 4 }), 24);
+  assert.equal(roundOrderQuantity(12, { packSize: 6, orderMultiple: 4 }), 12);
+});
+
+test('roundOrderQuantity applies the minimum and then the maximum order quantity', () => {
+  assert.equal(roundOrderQuantity(5, { packSize: 6, minimumOrderQuantity: 20 }), 24);
+  assert.equal(roundOrderQuantity(100, { packSize: 12, maximumOrderQuantity: 50 }), 48);
+  // The maximum wins over the minimum, but an order is never smaller than one increment
+  assert.equal(roundOrderQuantity(5, { minimumOrderQuantity: 40, maximumOrderQuantity: 30 }), 30);
+  assert.equal(roundOrderQuantity(5, { packSize: 12, maximumOrderQuantity: 10 }), 12);
+});
+
+test('roundOrderQuantity orders nothing for no demand', () => {
+  assert.equal(roundOrderQuantity(0, { packSize: 6, minimumOrderQuantity: 20 }), 0);
+  assert.equal(roundOrderQuantity(-3, {}), 0);
+});
+
+test('priceOrder orders up to a price break when that costs less in total', () => {
+  const terms = { costPerUnit: 10, priceBreaks: [{ minQuantity: 100, costPerUnit: 8 }] };
+  assert.deepEqual(priceOrder(90, terms), { quantity: 100, unitCost: 8, totalCost: 800 });
+  assert.deepEqual(priceOrder(50, terms), { quantity: 50, unitCost: 10, totalCost: 500 });
+  assert.deepEqual(priceOrder(120, terms), { quantity: 120, unitCost: 8, totalCost: 960 });
+});
+
+test('priceOrder prices a zero order at the list price', () => {
+  assert.deepEqual(priceOrder(0, { costPerUnit: 10, priceBreaks: [] }), { quantity: 0, unitCost: 10, totalCost: 0 });
+});
@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { calculateReorderLevels } = require('../server');
+
+test('calculateReorderLevels uses the service level for the criticality', () => {
+  assert.deepEqual(
+    calculateReorderLevels({ averageDailySales: 10, demandStdDev: 3, leadTime: 7, leadTimeStdDev: 0, criticality: 'medium' }),
+    { serviceLevel: 0.95, safetyStock: 14, reorderPoint: 84 }
+  );
+});
+
+test('calculateReorderLevels adds lead-time variability to the safety stock', () => {
+  assert.deepEqual(
+    calculateReorderLevels({ averageDailySales: 10, demandStdDev: 3, leadTime: 7, leadTimeStdDev: 2, criticality: 'high' }),
+    { serviceLevel: 0.99, safetyStock: 51, reorderPoint: 121 }
+  );
+});
+
+test('calculateReorderLevels needs no safety stock for steady demand and lead times', () => {
+  assert.deepEqual(
+    calculateReorderLevels({ averageDailySales: 2.5, demandStdDev: 0, leadTime: 5, leadTimeStdDev: 0, criticality: 'low' }),
+    { serviceLevel: 0.9, safetyStock: 0, reorderPoint: 13 }
+  );
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCronSchedule, matchesCron, nextCronRun } = require('../server');
+
+test('parseCronSchedule expands lists, ranges and steps', () => {
+  const cron = parseCronSchedule('*/15 9-11,17 * * 1-5');
+  assert.deepEqual([...cron.minutes], [0, 15, 30, 45]);
+  assert.deepEqual([...cron.hours], [9, 10, 11, 17]);
+  assert.deepEqual([...cron.daysOfWeek], [1, 2, 3, 4, 5]);
+  assert.equal(cron.daysOfMonth.size, 31);
+  assert.equal(cron.eitherDay, false);
+});
+
+test('parseCronSchedule treats 7 as Sunday', () => {
+  assert.ok(parseCronSchedule('0 0 * * 7').daysOfWeek.has(0));
+});
+
+test('parseCronSchedule rejects malformed schedules', () => {
+  for (const schedule of ['0 1 * *', '60 * * * *', '* 24 * * *', '0 0 0 * *', '*/0 * * * *', 'a * * * *', '']) {
+    assert.throws(() => parseCronSchedule(schedule), { status: 400 }, schedule);
+  }
+});
+
+test('nextCronRun finds the next matching minute in local time', () => {
+  const cron = parseCronSchedule('30 1 * * *');
+  assert.deepEqual(nextCronRun(cron, new Date(2026, 0, 1, 0, 0)), new Date(2026, 0, 1, 1, 30));
+  assert.deepEqual(nextCronRun(cron, new Date(2026, 0, 1, 1, 30)), new Date(2026, 0, 2, 1, 30));
+  assert.deepEqual(nextCronRun(cron, new Date(2026, 11, 31, 23, 59, 30)), new Date(2027, 0, 1, 1, 30));
+});
+
+test('nextCronRun skips to the next allowed weekday', () => {
+  // 2 January 2026 is a Friday
+  const cron = parseCronSchedule('0 6 * * 1');
+  assert.deepEqual(nextCronRun(cron, new Date(2026, 0, 2, 12, 0)), new Date(2026, 0, 5, 6, 0));
+});
+
+test('a day matching either restricted day field counts, as in cron', () => {
+  const cron = parseCronSchedule('0 0 1 * 1');
+  assert.equal(cron.eitherDay, true);
+  assert.ok(matchesCron(cron, new Date(2026, 0, 5, 0, 0))); // a Monday
+  assert.ok(matchesCron(cron, new Date(2026, 1, 1, 0, 0))); // the 1st, a Sunday
+  assert.ok(!matchesCron(cron, new Date(2026, 0, 6, 0, 0)));
+});
+
+test('nextCronRun returns null for a schedule that never runs', () => {
+  assert.equal(nextCronRun(parseCronSchedule('0 0 30 2 *'), new Date(2026, 0, 1)), null);
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const { once } = require('node:events');
+const { promisify } = require('node:util');
+
+process.env.ALERT_WEBHOOK_ALLOWED_HOSTS = 'localhost';
+const { lookupPublicAddress, webhookConnectOptions, sendAlertWebhook } = require('../server');
+
+const lookup = promisify((hostname, options, callback) =>
+  lookupPublicAddress(hostname, options, (error, address) => callback(error, address)));
+
+test('webhookConnectOptions refuses non-public IP literals', () => {
+  for (const url of ['http://127.0.0.1/', 'http://10.1.2.3/', 'http://192.168.0.1/', 'http://169.254.169.254/',
+    'http://[::1]/', 'http://[fd00::1]/', 'http://[::ffff:127.0.0.1]/', 'http://0x7f000001/']) {
+    assert.throws(() => webhookConnectOptions(new URL(url)), /not a public address/, url);
+  }
+});
+
+test('webhookConnectOptions checks other hosts as they are looked up', () => {
+  assert.equal(webhookConnectOptions(new URL('https://8.8.8.8/hook')).lookup, lookupPublicAddress);
+  assert.equal(webhookConnectOptions(new URL('https://hooks.example.com/')).lookup, lookupPublicAddress);
+  assert.deepEqual(webhookConnectOptions(new URL('http://localhost:8080/')), {});
+});
+
+test('lookupPublicAddress refuses names resolving to blocked addresses', async () => {
+  await assert.rejects(lookup('localhost', {}), /resolves to .*not a public address/);
+  await assert.rejects(lookup('localhost', { all: true }), /not a public address/);
+});
+
+test('lookupPublicAddress passes public addresses through', async () => {
+  assert.equal(await lookup('8.8.8.8', {}), '8.8.8.8');
+  assert.deepEqual(await lookup('8.8.8.8', { all: true }), [{ address: '8.8.8.8', family: 4 }]);
+});
+
+test('sendAlertWebhook posts JSON and fails on anything but a 2xx response', async (t) => {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, type: req.headers['content-type'], body });
+      res.statusCode = { '/fail': 500, '/moved': 302 }[req.url] || 204;
+      res.end();
+    });
+  });
+  server.listen(0);
+  await once(server, 'listening');
+  t.after(() => server.close());
+  const base = `http://localhost:${server.address().port}`;
+
+  await sendAlertWebhook(`${base}/hook`, { rule: 'Low stock' });
+  assert.deepEqual(requests[0], { method: 'POST', url: '/hook', type: 'application/json', body: '{"rule":"Low stock"}' });
+  await assert.rejects(sendAlertWebhook(`${base}/fail`, {}), /responded with 500/);
+  await assert.rejects(sendAlertWebhook(`${base}/moved`, {}), /responded with 302/);
+  // The loopback address itself is not on the allow list
+  await assert.rejects(sendAlertWebhook(`http://127.0.0.1:${server.address().port}/hook`, {}), /not a public address/);
+  assert.equal(requests.length, 3);
+});